@@ -0,0 +1,190 @@
+// Minimal local OpenID Connect issuer for trying social login without a
+// real provider. Every authorization request is approved immediately for
+// the configured test user. Not for production use.
+//
+//   npm run mock:oidc
+//
+// Then point a provider at it, e.g.:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:9400
+//   OIDC_MOCK_CLIENT_ID=prepwise-local
+//   OIDC_MOCK_CLIENT_SECRET=prepwise-local-secret
+//
+// Pass ?login_hint=someone@example.com to /api/auth/oidc/mock to sign in
+// as a different user.
+
+import http from "http";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "prepwise-local";
+const CLIENT_SECRET =
+  process.env.MOCK_OIDC_CLIENT_SECRET || "prepwise-local-secret";
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "candidate@example.com";
+const DEFAULT_NAME = process.env.MOCK_OIDC_NAME || "Mock Candidate";
+const EMAIL_VERIFIED = process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+
+// Pending authorization codes and issued access tokens (in memory)
+const codes = new Map();
+const accessTokens = new Map();
+
+// Stable subject per email, like a real provider
+const subjectFor = (email) =>
+  crypto.createHash("sha256").update(email).digest("hex").slice(0, 24);
+
+const claimsFor = (email) => ({
+  sub: subjectFor(email),
+  email,
+  email_verified: EMAIL_VERIFIED,
+  name: email === DEFAULT_EMAIL ? DEFAULT_NAME : email.split("@")[0],
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(new URLSearchParams(data)));
+    req.on("error", reject);
+  });
+
+const handlers = {
+  "GET /.well-known/openid-configuration": (req, res) =>
+    sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    }),
+
+  "GET /jwks": (req, res) =>
+    sendJson(res, 200, {
+      keys: [
+        { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" },
+      ],
+    }),
+
+  "GET /authorize": (req, res, url) => {
+    const params = url.searchParams;
+    const redirectUri = params.get("redirect_uri");
+
+    if (params.get("client_id") !== CLIENT_ID || !redirectUri) {
+      return sendJson(res, 400, { error: "invalid_client" });
+    }
+    if (
+      !params.get("code_challenge") ||
+      params.get("code_challenge_method") !== "S256"
+    ) {
+      return sendJson(res, 400, {
+        error: "invalid_request",
+        error_description: "PKCE with S256 is required",
+      });
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      redirectUri,
+      codeChallenge: params.get("code_challenge"),
+      nonce: params.get("nonce"),
+      email: (params.get("login_hint") || DEFAULT_EMAIL).toLowerCase(),
+    });
+
+    const callback = new URL(redirectUri);
+    callback.searchParams.set("code", code);
+    callback.searchParams.set("state", params.get("state") || "");
+    res.writeHead(302, { Location: callback.toString() });
+    res.end();
+  },
+
+  "POST /token": async (req, res) => {
+    const params = await readBody(req);
+    const pending = codes.get(params.get("code"));
+    codes.delete(params.get("code"));
+
+    if (
+      params.get("client_id") !== CLIENT_ID ||
+      params.get("client_secret") !== CLIENT_SECRET
+    ) {
+      return sendJson(res, 401, { error: "invalid_client" });
+    }
+    if (!pending || pending.redirectUri !== params.get("redirect_uri")) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+
+    const challenge = crypto
+      .createHash("sha256")
+      .update(params.get("code_verifier") || "")
+      .digest("base64url");
+    if (challenge !== pending.codeChallenge) {
+      return sendJson(res, 400, {
+        error: "invalid_grant",
+        error_description: "PKCE verification failed",
+      });
+    }
+
+    const claims = claimsFor(pending.email);
+    const accessToken = crypto.randomBytes(24).toString("hex");
+    accessTokens.set(accessToken, claims);
+
+    const idToken = jwt.sign(
+      { ...claims, ...(pending.nonce && { nonce: pending.nonce }) },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: "5m",
+      }
+    );
+
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  },
+
+  "GET /userinfo": (req, res) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const claims = accessTokens.get(token);
+    if (!claims) return sendJson(res, 401, { error: "invalid_token" });
+    sendJson(res, 200, claims);
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  const handler = handlers[`${req.method} ${url.pathname}`];
+
+  try {
+    if (!handler) return sendJson(res, 404, { error: "not_found" });
+    await handler(req, res, url);
+  } catch (error) {
+    console.error("Mock OIDC issuer error:", error);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC issuer running at ${ISSUER}`);
+  console.log(`   Client ID: ${CLIENT_ID}  Secret: ${CLIENT_SECRET}`);
+  console.log(`   Signs in as: ${DEFAULT_EMAIL} (verified: ${EMAIL_VERIFIED})`);
+});
@@ -0,0 +1,41 @@
+// Personal API key scopes and the routes each one unlocks.
+// API keys are deny-by-default: a route that isn't listed here (account,
+// auth, admin, API key management...) can only be used with a login token.
+
+export const API_KEY_SCOPES = [
+  "interviews:read",
+  "interviews:write",
+  "results:read",
+  "results:write",
+];
+
+// Checked in order; the first entry whose base path and method match wins
+export const API_KEY_ROUTE_SCOPES = [
+  { basePath: "/api/interviews", methods: ["GET"], scope: "interviews:read" },
+  {
+    basePath: "/api/interviews",
+    methods: ["POST", "PUT", "PATCH", "DELETE"],
+    scope: "interviews:write",
+  },
+  { basePath: "/api/answers", methods: ["GET"], scope: "interviews:read" },
+  {
+    basePath: "/api/answers",
+    methods: ["POST", "PUT", "PATCH", "DELETE"],
+    scope: "interviews:write",
+  },
+  { basePath: "/api/results", methods: ["GET"], scope: "results:read" },
+  {
+    basePath: "/api/results",
+    methods: ["POST", "DELETE"],
+    scope: "results:write",
+  },
+  { basePath: "/api/facial-analysis", methods: ["GET"], scope: "results:read" },
+];
+
+// Scope an API key needs for this request, or null if keys aren't allowed
+export const getRequiredApiKeyScope = (req) => {
+  const rule = API_KEY_ROUTE_SCOPES.find(
+    (entry) => entry.basePath === req.baseUrl && entry.methods.includes(req.method)
+  );
+  return rule ? rule.scope : null;
+};
@@ -17,17 +17,259 @@ export const geminiModel = genAI.getGenerativeModel({
   },
 });
 
-// Generate interview questions based on user preferences
+const EXPERIENCE_LEVELS = ["Fresher", "Junior", "Mid", "Senior", "Lead"];
+
+// Longest job description sent to the model (characters)
+const MAX_JOB_DESCRIPTION_PROMPT_LENGTH = 8000;
+
+// Extract required skills and seniority from a pasted job description
+export async function extractJobRequirements({
+  jobDescription,
+  companyName,
+  roleTitle,
+}) {
+  const prompt = `Analyze this job posting and extract what a candidate is expected to know.
+
+${roleTitle ? `Role Title: ${roleTitle}\n` : ""}${
+    companyName ? `Company: ${companyName}\n` : ""
+  }
+JOB DESCRIPTION:
+${jobDescription.slice(0, MAX_JOB_DESCRIPTION_PROMPT_LENGTH)}
+
+Return ONLY a valid JSON object in this exact format:
+{
+  "roleTitle": "Backend Engineer",
+  "seniority": "Mid",
+  "techStack": ["Node.js", "PostgreSQL", "AWS"],
+  "requiredSkills": ["REST API design", "SQL query optimization"],
+  "niceToHaveSkills": ["Kubernetes"],
+  "responsibilities": ["Design and build backend services"]
+}
+
+Rules:
+- "seniority" must be one of: ${EXPERIENCE_LEVELS.join(", ")}
+- "techStack" lists concrete technologies (languages, frameworks, tools), at most 10
+- "requiredSkills" lists the must-have skills, at most 15
+- Use the role title from the posting if none was given
+
+Do not include any other text, explanations, or formatting.`;
+
+  try {
+    const result = await geminiModel.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text().trim();
+
+    // Extract JSON from response
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error("Invalid response format - no JSON object found");
+    }
+
+    const requirements = JSON.parse(jsonMatch[0]);
+    const toList = (value, max) =>
+      (Array.isArray(value) ? value : [])
+        .filter((item) => typeof item === "string" && item.trim())
+        .map((item) => item.trim().slice(0, 100))
+        .slice(0, max);
+
+    return {
+      roleTitle:
+        typeof requirements.roleTitle === "string"
+          ? requirements.roleTitle.trim().slice(0, 100)
+          : null,
+      seniority: EXPERIENCE_LEVELS.includes(requirements.seniority)
+        ? requirements.seniority
+        : null,
+      techStack: toList(requirements.techStack, 10).map((tech) =>
+        tech.slice(0, 50)
+      ),
+      requiredSkills: toList(requirements.requiredSkills, 15),
+      niceToHaveSkills: toList(requirements.niceToHaveSkills, 15),
+      responsibilities: toList(requirements.responsibilities, 15),
+    };
+  } catch (error) {
+    console.error("Error extracting job requirements:", error);
+    return getFallbackJobRequirements();
+  }
+}
+
+// Parse extracted resume text into a candidate profile
+export async function parseResumeProfile(resumeText) {
+  const prompt = `Extract the candidate's profile from this resume.
+
+RESUME:
+${resumeText}
+
+Return ONLY a valid JSON object in this exact format:
+{
+  "summary": "One or two sentence summary of the candidate",
+  "skills": ["JavaScript", "React", "Team leadership"],
+  "roles": [
+    { "title": "Frontend Developer", "company": "Acme", "startDate": "2021-03", "endDate": "present" }
+  ],
+  "yearsOfExperience": 3,
+  "projects": [
+    { "name": "Project name", "description": "What it does and the candidate's part", "technologies": ["React"] }
+  ]
+}
+
+Rules:
+- "yearsOfExperience" is total professional experience as a number (0 if none)
+- List at most 30 skills, 10 roles and 10 projects, most recent first
+- Only include what the resume states; do not invent details
+
+Do not include any other text, explanations, or formatting.`;
+
+  try {
+    const result = await geminiModel.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text().trim();
+
+    // Extract JSON from response
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error("Invalid response format - no JSON object found");
+    }
+
+    const profile = JSON.parse(jsonMatch[0]);
+    const toText = (value, max = 200) =>
+      typeof value === "string" ? value.trim().slice(0, max) : "";
+    const toList = (value, max) =>
+      (Array.isArray(value) ? value : []).slice(0, max);
+
+    return {
+      summary: toText(profile.summary, 500),
+      skills: toList(profile.skills, 30)
+        .map((skill) => toText(skill, 50))
+        .filter(Boolean),
+      roles: toList(profile.roles, 10)
+        .filter((role) => role && typeof role === "object")
+        .map((role) => ({
+          title: toText(role.title),
+          company: toText(role.company),
+          startDate: toText(role.startDate, 20),
+          endDate: toText(role.endDate, 20),
+        })),
+      yearsOfExperience:
+        Number(profile.yearsOfExperience) >= 0
+          ? Math.min(Number(profile.yearsOfExperience), 60)
+          : null,
+      projects: toList(profile.projects, 10)
+        .filter((project) => project && typeof project === "object")
+        .map((project) => ({
+          name: toText(project.name),
+          description: toText(project.description, 1000),
+          technologies: toList(project.technologies, 15)
+            .map((tech) => toText(tech, 50))
+            .filter(Boolean),
+        })),
+    };
+  } catch (error) {
+    console.error("Error parsing resume:", error);
+    return getFallbackResumeProfile();
+  }
+}
+
+// Resume profile as prompt lines
+function formatResumeProfile(profile) {
+  const roles = profile.roles.map(
+    (role) => `${role.title}${role.company ? ` at ${role.company}` : ""}`
+  );
+  const projects = profile.projects.map(
+    (project) =>
+      `  * ${project.name}: ${project.description}${
+        project.technologies.length
+          ? ` (${project.technologies.join(", ")})`
+          : ""
+      }`
+  );
+
+  return [
+    `- Summary: ${profile.summary || "Not available"}`,
+    `- Claimed Skills: ${profile.skills.join(", ") || "Not specified"}`,
+    `- Roles: ${roles.join("; ") || "Not specified"}`,
+    "- Projects:",
+    ...(projects.length ? projects : ["  * None listed"]),
+  ].join("\n");
+}
+
+// Generate interview questions based on user preferences, optionally
+// targeted at a job posting (see extractJobRequirements) and/or the
+// candidate's own resume (see parseResumeProfile)
 export async function generateInterviewQuestions({
   techStack,
   hardnessLevel,
   experienceLevel,
   numberOfQuestions,
+  jobPosting = null,
+  resumeProfile = null,
+  categories = null,
+  avoidQuestions = [],
+  questionMix = null,
+  guidance = null,
 }) {
   const techStackString = Array.isArray(techStack)
     ? techStack.join(", ")
     : techStack;
 
+  const jobPostingSection = jobPosting
+    ? `
+Target Job Posting:
+- Role: ${jobPosting.roleTitle || "Not specified"}${
+        jobPosting.companyName ? ` at ${jobPosting.companyName}` : ""
+      }
+- Required Skills: ${jobPosting.requiredSkills.join(", ") || "Not specified"}
+- Nice-to-have Skills: ${jobPosting.niceToHaveSkills.join(", ") || "None"}
+- Responsibilities: ${jobPosting.responsibilities.join("; ") || "Not specified"}
+
+Job Description:
+${jobPosting.jobDescription.slice(0, MAX_JOB_DESCRIPTION_PROMPT_LENGTH)}
+
+Target the questions at this posting: cover the required skills first and
+tag each question with the skills it assesses in "skills".
+`
+    : "";
+
+  const resumeSection = resumeProfile
+    ? `
+Candidate Resume:
+${formatResumeProfile(resumeProfile)}
+
+Make about half of the questions about the candidate's own experience:
+ask them to explain design decisions, trade-offs and their role in the
+listed projects, and probe how deeply they know the skills they claim.
+`
+    : "";
+
+  // Retakes fix the category of each question; templates the number of
+  // questions per category
+  const categorySection = categories
+    ? `
+Question categories, in order: ${categories
+        .map((category, index) => `${index + 1}. ${category}`)
+        .join(", ")}
+`
+    : questionMix
+    ? `
+Category mix: exactly ${questionMix.technical || 0} Technical, ${
+        questionMix.behavioral || 0
+      } Behavioral and ${questionMix.problemSolving || 0} Problem Solving questions.
+`
+    : "";
+
+  const avoidSection = avoidQuestions.length
+    ? `
+Ask different questions from these ones, which are already covered:
+${avoidQuestions.map((question) => `- ${question}`).join("\n")}
+`
+    : "";
+
+  const guidanceSection = guidance
+    ? `
+Additional instructions: ${guidance}
+`
+    : "";
+
   const prompt = `Generate ${numberOfQuestions} interview questions for a ${experienceLevel} level candidate.
 
 Requirements:
@@ -35,7 +277,7 @@ Requirements:
 - Experience Level: ${experienceLevel}
 - Difficulty Level: ${hardnessLevel}
 - Number of Questions: ${numberOfQuestions}
-
+${jobPostingSection}${resumeSection}${categorySection}${avoidSection}${guidanceSection}
 Guidelines:
 1. Questions should be appropriate for ${experienceLevel} level candidates
 2. Difficulty should be ${hardnessLevel}
@@ -50,13 +292,15 @@ Return ONLY a valid JSON array of objects in this exact format:
     "questionText": "Question 1 text here",
     "questionNumber": 1,
     "category": "Technical",
-    "expectedAnswer": "Brief expected answer or key points"
+    "expectedAnswer": "Brief expected answer or key points",
+    "skills": ["Skill assessed"]
   },
   {
     "questionText": "Question 2 text here", 
     "questionNumber": 2,
     "category": "Problem Solving",
-    "expectedAnswer": "Brief expected answer or key points"
+    "expectedAnswer": "Brief expected answer or key points",
+    "skills": ["Skill assessed"]
   }
 ]
 
@@ -75,17 +319,18 @@ Do not include any other text, explanations, or formatting.`;
       throw new Error("Invalid response format - no JSON array found");
     }
 
-    const questions = JSON.parse(jsonMatch[0]);
+    const parsedQuestions = JSON.parse(jsonMatch[0]);
 
-    // Validate questions
+    // Validate questions (extra ones are dropped)
     if (
-      !Array.isArray(questions) ||
-      questions.length !== parseInt(numberOfQuestions)
+      !Array.isArray(parsedQuestions) ||
+      parsedQuestions.length < parseInt(numberOfQuestions)
     ) {
       throw new Error(
-        `Expected ${numberOfQuestions} questions, got ${questions.length}`
+        `Expected ${numberOfQuestions} questions, got ${parsedQuestions.length}`
       );
     }
+    const questions = parsedQuestions.slice(0, parseInt(numberOfQuestions));
 
     // Validate each question structure
     questions.forEach((question, index) => {
@@ -103,6 +348,12 @@ Do not include any other text, explanations, or formatting.`;
       ) {
         question.category = "Technical"; // Default fallback
       }
+      if (categories && index < categories.length) {
+        question.category = categories[index];
+      }
+      question.skills = Array.isArray(question.skills)
+        ? question.skills.filter((skill) => typeof skill === "string")
+        : [];
     });
 
     return questions;
@@ -196,6 +447,154 @@ Be objective and constructive in your evaluation.`;
   }
 }
 
+// Generate an adaptive follow-up to an answered question: "follow_up"
+// probes a weak answer, "escalation" asks something harder after a strong
+// one. Returns null if no question could be generated.
+export async function generateFollowUpQuestion({
+  question,
+  answerText,
+  evaluation,
+  origin,
+  techStack,
+  experienceLevel,
+  hardnessLevel,
+}) {
+  const goal =
+    origin === "escalation"
+      ? `The candidate answered well (score ${evaluation.overallScore}/100). Ask ONE harder question on the same topic that goes a level deeper (edge cases, internals, scaling or trade-offs).`
+      : `The candidate's answer was weak (score ${evaluation.overallScore}/100). Ask ONE follow-up question that probes the weakest part of the answer so they can show what they actually know.`;
+
+  const prompt = `You are conducting an adaptive technical interview for a ${experienceLevel} level candidate.
+
+Technology Context: ${
+    Array.isArray(techStack) ? techStack.join(", ") : techStack
+  }
+Interview Difficulty: ${hardnessLevel}
+
+Previous Question: ${question.questionText}
+Candidate's Answer: ${answerText}
+Evaluation Feedback: ${evaluation.feedback || "Not available"}
+
+${goal}
+
+Return ONLY a valid JSON object in this exact format:
+{
+  "questionText": "Follow-up question text",
+  "category": "Technical",
+  "expectedAnswer": "Brief expected answer or key points"
+}
+
+Categories should be one of: "Technical", "Behavioral", "Problem Solving"
+
+Do not include any other text, explanations, or formatting.`;
+
+  try {
+    const result = await geminiModel.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text().trim();
+
+    // Extract JSON from response
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error("Invalid response format - no JSON object found");
+    }
+
+    const followUp = JSON.parse(jsonMatch[0]);
+    if (!followUp.questionText) {
+      throw new Error("Missing required field: questionText");
+    }
+
+    return {
+      questionText: String(followUp.questionText).trim(),
+      category: ["Technical", "Behavioral", "Problem Solving"].includes(
+        followUp.category
+      )
+        ? followUp.category
+        : question.category || "Technical",
+      expectedAnswer: followUp.expectedAnswer
+        ? String(followUp.expectedAnswer).trim()
+        : undefined,
+      skills: question.skills || [],
+      origin,
+    };
+  } catch (error) {
+    // No canned fallback here: the interview just continues as planned
+    console.error("Error generating follow-up question:", error);
+    return null;
+  }
+}
+
+// Generate a replacement for one question of an interview that hasn't
+// started, optionally steered by the user's guidance
+export async function regenerateQuestion({
+  question,
+  otherQuestions = [],
+  techStack,
+  experienceLevel,
+  hardnessLevel,
+  jobPosting = null,
+  category = null,
+  guidance = null,
+}) {
+  const targetCategory = category || question.category || "Technical";
+
+  const prompt = `Replace one question in an interview for a ${experienceLevel} level candidate.
+
+Technology Context: ${
+    Array.isArray(techStack) ? techStack.join(", ") : techStack
+  }
+Interview Difficulty: ${hardnessLevel}${
+    jobPosting?.roleTitle ? `\nTarget Role: ${jobPosting.roleTitle}` : ""
+  }
+
+Question to replace: ${question.questionText}
+Other questions in the interview (don't repeat them):
+${otherQuestions.map((other) => `- ${other.questionText}`).join("\n") || "None"}
+${guidance ? `\nThe candidate asked for: ${guidance}\n` : ""}
+Write ONE new "${targetCategory}" question of the same difficulty.
+
+Return ONLY a valid JSON object in this exact format:
+{
+  "questionText": "New question text",
+  "expectedAnswer": "Brief expected answer or key points",
+  "skills": ["Skill assessed"]
+}
+
+Do not include any other text, explanations, or formatting.`;
+
+  try {
+    const result = await geminiModel.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text().trim();
+
+    // Extract JSON from response
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error("Invalid response format - no JSON object found");
+    }
+
+    const replacement = JSON.parse(jsonMatch[0]);
+    if (!replacement.questionText) {
+      throw new Error("Missing required field: questionText");
+    }
+
+    return {
+      questionText: String(replacement.questionText).trim(),
+      category: targetCategory,
+      expectedAnswer: replacement.expectedAnswer
+        ? String(replacement.expectedAnswer).trim()
+        : undefined,
+      skills: Array.isArray(replacement.skills)
+        ? replacement.skills.filter((skill) => typeof skill === "string")
+        : question.skills || [],
+    };
+  } catch (error) {
+    // No canned fallback: the user keeps the current question
+    console.error("Error regenerating question:", error);
+    return null;
+  }
+}
+
 // Generate final interview result
 export async function generateFinalResult({
   answers,
@@ -217,6 +616,27 @@ export async function generateFinalResult({
       }%, Eye Contact: ${facialAnalysisResults.averageEyeContact || "N/A"}%`
     : "Facial analysis not available";
 
+  const jobPosting = interview.jobPosting?.jobDescription
+    ? `
+ROLE REQUIREMENTS:
+- Role: ${interview.jobPosting.roleTitle || "Not specified"}${
+        interview.jobPosting.companyName
+          ? ` at ${interview.jobPosting.companyName}`
+          : ""
+      }
+- Required Skills: ${interview.jobPosting.requiredSkills.join(", ")}
+Relate the strengths, weaknesses and recommendations to these requirements.
+`
+    : "";
+
+  const partial =
+    interview.status === "abandoned"
+      ? `
+NOTE: The candidate left the interview before finishing. Evaluate only the
+answered questions, and mention the unanswered ones in the recommendations.
+`
+      : "";
+
   const prompt = `Generate a comprehensive interview evaluation report.
 
 INTERVIEW DETAILS:
@@ -224,7 +644,7 @@ INTERVIEW DETAILS:
 - Experience Level: ${interview.experienceLevel}
 - Difficulty: ${interview.hardnessLevel}
 - Questions Answered: ${answers.length}/${interview.numberOfQuestions}
-
+${jobPosting}${partial}
 ANSWERS AND SCORES:
 ${answersText}
 
@@ -293,7 +713,8 @@ Be thorough, constructive, and specific in your evaluation.`;
   }
 }
 
-// Fallback questions for when AI generation fails
+// Fallback questions for when AI generation fails.
+// Fallback outputs carry `isFallback: true` so AI failure rates can be tracked.
 function getFallbackQuestions(
   techStack,
   experienceLevel,
@@ -339,7 +760,34 @@ function getFallbackQuestions(
     },
   ];
 
-  return baseQuestions.slice(0, numberOfQuestions);
+  return baseQuestions
+    .slice(0, numberOfQuestions)
+    .map((question) => ({ ...question, isFallback: true }));
+}
+
+// Fallback job requirements when extraction fails (nothing extracted)
+function getFallbackJobRequirements() {
+  return {
+    roleTitle: null,
+    seniority: null,
+    techStack: [],
+    requiredSkills: [],
+    niceToHaveSkills: [],
+    responsibilities: [],
+    isFallback: true,
+  };
+}
+
+// Fallback resume profile when parsing fails (nothing extracted)
+function getFallbackResumeProfile() {
+  return {
+    summary: "",
+    skills: [],
+    roles: [],
+    yearsOfExperience: null,
+    projects: [],
+    isFallback: true,
+  };
 }
 
 // Fallback evaluation for when AI evaluation fails
@@ -357,6 +805,7 @@ function getFallbackEvaluation() {
       "Include technical details where relevant",
       "Structure your answer more clearly",
     ],
+    isFallback: true,
   };
 }
 
@@ -389,5 +838,6 @@ function getFallbackFinalResult(answeredQuestions, totalQuestions) {
       "Continue learning and practicing",
     ],
     detailedFeedback: `You completed ${answeredQuestions} out of ${totalQuestions} questions. Your responses show basic understanding, but there's room for improvement in technical depth and detail. Focus on providing more comprehensive answers with specific examples.`,
+    isFallback: true,
   };
 }
@@ -0,0 +1,76 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Social login providers, configured per provider through env:
+//
+//   OIDC_PROVIDERS=google,github
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...
+//
+// Providers with an issuer use OpenID Connect discovery. Plain OAuth 2.0
+// providers (e.g. GitHub) set the endpoints explicitly instead.
+
+const DEFAULT_SCOPES = "openid email profile";
+
+// Read a provider setting, e.g. env("google", "CLIENT_ID") -> OIDC_GOOGLE_CLIENT_ID
+const env = (name, key) =>
+  process.env[`OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${key}`];
+
+const loadProvider = (name) => {
+  const provider = {
+    name,
+    displayName: env(name, "DISPLAY_NAME") || name,
+    issuer: env(name, "ISSUER") || null,
+    clientId: env(name, "CLIENT_ID"),
+    clientSecret: env(name, "CLIENT_SECRET") || null,
+    scopes: env(name, "SCOPES") || DEFAULT_SCOPES,
+    authorizationEndpoint: env(name, "AUTHORIZATION_ENDPOINT") || null,
+    tokenEndpoint: env(name, "TOKEN_ENDPOINT") || null,
+    userinfoEndpoint: env(name, "USERINFO_ENDPOINT") || null,
+    redirectUri: env(name, "REDIRECT_URI") || null,
+    // Treat emails from this provider as verified even without an
+    // email_verified claim (only for providers that guarantee it)
+    trustEmail: env(name, "TRUST_EMAIL") === "true",
+  };
+
+  if (!provider.clientId) {
+    console.warn(`⚠️  OIDC provider "${name}" has no client ID, skipping`);
+    return null;
+  }
+
+  if (
+    !provider.issuer &&
+    !(provider.authorizationEndpoint && provider.tokenEndpoint)
+  ) {
+    console.warn(
+      `⚠️  OIDC provider "${name}" needs an issuer or explicit endpoints, skipping`
+    );
+    return null;
+  }
+
+  return provider;
+};
+
+let providers = null;
+
+// All configured providers, keyed by name
+export const getOidcProviders = () => {
+  if (!providers) {
+    providers = new Map();
+    (process.env.OIDC_PROVIDERS || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach((name) => {
+        const provider = loadProvider(name);
+        if (provider) providers.set(name, provider);
+      });
+  }
+  return providers;
+};
+
+// Look up a configured provider by name (null if unknown)
+export const getOidcProvider = (name) =>
+  getOidcProviders().get(String(name).toLowerCase()) || null;
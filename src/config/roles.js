@@ -0,0 +1,32 @@
+// Role-based access control: roles and the permissions each one grants.
+// Every user can manage their own interviews/results; permissions cover
+// access to other users' data and staff tooling.
+
+export const ROLES = ["candidate", "coach", "recruiter", "admin"];
+
+export const DEFAULT_ROLE = "candidate";
+
+export const PERMISSIONS = {
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  ROLES_MANAGE: "roles:manage",
+  INTERVIEWS_READ_ANY: "interviews:read_any",
+  RESULTS_READ_ANY: "results:read_any",
+  PLATFORM_STATS_READ: "platform_stats:read",
+  AUDIT_LOG_READ: "audit_log:read",
+};
+
+export const ROLE_PERMISSIONS = {
+  candidate: [],
+  coach: [PERMISSIONS.INTERVIEWS_READ_ANY, PERMISSIONS.RESULTS_READ_ANY],
+  recruiter: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.INTERVIEWS_READ_ANY,
+    PERMISSIONS.RESULTS_READ_ANY,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+// Check whether a role grants a permission
+export const roleHasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
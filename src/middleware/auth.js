@@ -1,5 +1,10 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import User from "../models/User.js";
+import ApiKey from "../models/ApiKey.js";
+import { roleHasPermission } from "../config/roles.js";
+import { getRequiredApiKeyScope } from "../config/apiKeys.js";
+import { isCsrfRequestValid, rejectCsrfRequest } from "./csrf.js";
 import asyncHandler from "express-async-handler";
 
 // Utility function to parse duration strings
@@ -16,21 +21,70 @@ const parseDuration = (duration) => {
   return duration;
 };
 
-// Generate JWT token
-export const generateToken = (userId) => {
+// Generate JWT token. When issued for a login session, the session's token
+// family is embedded as `sid` so revoking the session also rejects the token.
+export const generateToken = (userId, sessionId = null) => {
   const duration = parseDuration(process.env.SESSION_DURATION);
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
+  const payload = sessionId ? { userId, sid: sessionId } : { userId };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: duration,
   });
 };
 
-// Generate refresh token
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId, type: "refresh" }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+// Generate refresh token. Every login starts a new token family; rotated
+// tokens carry the family forward so reuse of an old one can be detected.
+export const generateRefreshToken = (userId, family = crypto.randomUUID()) => {
+  return jwt.sign(
+    { userId, type: "refresh", family, jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: "30d",
+    }
+  );
+};
+
+// Generate short-lived challenge token for the second login step (2FA).
+// It only proves the first factor was correct; it is not an access token.
+export const generateTwoFactorChallengeToken = (userId, method = "password") => {
+  return jwt.sign(
+    { userId, method, type: "2fa_challenge" },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+};
+
+// Generate short-lived token carrying social login state (state, nonce,
+// PKCE verifier) from the redirect to the provider until its callback
+export const generateOidcStateToken = (payload) => {
+  return jwt.sign({ ...payload, type: "oidc_state" }, process.env.JWT_SECRET, {
+    expiresIn: "10m",
   });
 };
 
+// Generate the signed token embedded in a magic login link. The nonce is
+// also stored (hashed) on the user so the link works only once.
+export const generateMagicLinkToken = (userId, nonce, expiresInMinutes) => {
+  return jwt.sign(
+    { userId, nonce, type: "magic_link" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiresInMinutes}m` }
+  );
+};
+
+// Generate the token in a data export download link. It expires with the
+// archive, so the link works without logging in until then.
+export const generateDataExportToken = (exportId, userId, expiresAt) => {
+  return jwt.sign(
+    {
+      exportId,
+      userId,
+      type: "data_export",
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+    },
+    process.env.JWT_SECRET
+  );
+};
+
 // Verify JWT token
 export const verifyToken = (token) => {
   try {
@@ -40,64 +94,186 @@ export const verifyToken = (token) => {
   }
 };
 
-// Middleware to authenticate user
-export const authenticateUser = asyncHandler(async (req, res, next) => {
-  let token;
+// How often a session's lastUsedAt is written back (avoid a write per request)
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
 
-  // Check for token in Authorization header
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    token = req.headers.authorization.split(" ")[1];
+// How often an API key's lastUsedAt is written back
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Whether unverified accounts should be blocked from restricted routes
+const isEmailVerificationRequired = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION !== "false";
+
+// Authenticate a request carrying a personal API key (X-API-Key header)
+const authenticateApiKey = async (req, res, next, { requireVerifiedEmail }) => {
+  const apiKey = await ApiKey.findActiveByKey(req.headers["x-api-key"]);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid, expired or revoked API key.",
+    });
   }
-  // Check for token in cookies
-  else if (req.cookies.token) {
-    token = req.cookies.token;
+
+  const requiredScope = getRequiredApiKeyScope(req);
+  if (!requiredScope) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint cannot be accessed with an API key.",
+    });
+  }
+
+  if (!apiKey.scopes.includes(requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the required scope: ${requiredScope}`,
+    });
   }
 
-  if (!token) {
+  const user = await User.findById(apiKey.userId).select("-password");
+  if (!user || !user.isActive) {
     return res.status(401).json({
       success: false,
-      message: "Access denied. No token provided.",
+      message: "User account is deactivated.",
     });
   }
 
-  try {
-    // Verify token
-    const decoded = verifyToken(token);
+  if (
+    requireVerifiedEmail &&
+    isEmailVerificationRequired() &&
+    !user.emailVerified
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address to use this feature.",
+    });
+  }
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt > API_KEY_TOUCH_INTERVAL_MS
+  ) {
+    await apiKey.recordUsage(req.ip);
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Build an authentication middleware.
+// Options:
+//   requireVerifiedEmail - reject users who haven't verified their email yet
+//                          (used on routes that consume AI quota)
+export const authenticate = ({ requireVerifiedEmail = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    // Personal API keys (scripts and integrations)
+    if (req.headers["x-api-key"]) {
+      return authenticateApiKey(req, res, next, { requireVerifiedEmail });
+    }
 
-    // Get user from database
-    const user = await User.findById(decoded.userId).select("-password");
+    let token;
+
+    // Check for token in Authorization header
+    if (
+      req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer")
+    ) {
+      token = req.headers.authorization.split(" ")[1];
+    }
+    // Check for token in cookies (state-changing requests must also pass
+    // the CSRF check, since browsers send cookies cross-site)
+    else if (req.cookies.token) {
+      if (!isCsrfRequestValid(req)) {
+        return rejectCsrfRequest(res);
+      }
+      token = req.cookies.token;
+    }
 
-    if (!user) {
+    if (!token) {
       return res.status(401).json({
         success: false,
-        message: "Token is valid but user not found.",
+        message: "Access denied. No token provided.",
       });
     }
 
-    if (!user.isActive) {
+    try {
+      // Verify token
+      const decoded = verifyToken(token);
+
+      // Only access tokens (no `type` claim) may authenticate requests;
+      // refresh and 2FA challenge tokens are signed with the same secret
+      if (decoded.type) {
+        throw new Error("Invalid token type");
+      }
+
+      // Get user from database
+      const user = await User.findById(decoded.userId).select("-password");
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "Token is valid but user not found.",
+        });
+      }
+
+      if (!user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: "User account is deactivated.",
+        });
+      }
+
+      // Tokens bound to a session stop working once the session is revoked
+      if (decoded.sid) {
+        const session = user.findSessionByFamily(decoded.sid);
+        if (!session) {
+          res.clearCookie("token");
+          return res.status(401).json({
+            success: false,
+            message: "Session has been revoked. Please login again.",
+          });
+        }
+
+        if (Date.now() - session.lastUsedAt > SESSION_TOUCH_INTERVAL_MS) {
+          await User.touchSession(user._id, decoded.sid);
+        }
+        req.sessionId = decoded.sid;
+      }
+
+      if (
+        requireVerifiedEmail &&
+        isEmailVerificationRequired() &&
+        !user.emailVerified
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your email address to use this feature.",
+        });
+      }
+
+      // Add user to request object
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error("Authentication error:", error);
+
+      // Clear invalid token cookie
+      res.clearCookie("token");
+
       return res.status(401).json({
         success: false,
-        message: "User account is deactivated.",
+        message: "Invalid or expired token.",
       });
     }
+  });
 
-    // Add user to request object
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error("Authentication error:", error);
-
-    // Clear invalid token cookie
-    res.clearCookie("token");
+// Middleware to authenticate user
+export const authenticateUser = authenticate();
 
-    return res.status(401).json({
-      success: false,
-      message: "Invalid or expired token.",
-    });
-  }
+// Middleware to authenticate user with a verified email address
+export const authenticateVerifiedUser = authenticate({
+  requireVerifiedEmail: true,
 });
 
 // Optional authentication middleware (doesn't fail if no auth)
@@ -111,15 +287,17 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
   ) {
     token = req.headers.authorization.split(" ")[1];
   }
-  // Check for token in cookies
-  else if (req.cookies.token) {
+  // Check for token in cookies (ignored if the CSRF check fails)
+  else if (req.cookies.token && isCsrfRequestValid(req)) {
     token = req.cookies.token;
   }
 
   if (token) {
     try {
       const decoded = verifyToken(token);
-      const user = await User.findById(decoded.userId).select("-password");
+      const user = decoded.type
+        ? null
+        : await User.findById(decoded.userId).select("-password");
 
       if (user && user.isActive) {
         req.user = user;
@@ -133,7 +311,30 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
-// Middleware to check if user is admin (if you plan to add admin features)
+// Middleware to require one or more role permissions (all must be granted)
+export const requirePermission = (...permissions) =>
+  asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required.",
+      });
+    }
+
+    const missing = permissions.filter(
+      (permission) => !roleHasPermission(req.user.role, permission)
+    );
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action.",
+      });
+    }
+
+    next();
+  });
+
+// Middleware to check if user is admin
 export const requireAdmin = asyncHandler(async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -238,3 +439,53 @@ export const clearTokenCookie = (res) => {
     sameSite: "lax",
   });
 };
+
+// Refresh token cookie is scoped to the auth routes so it isn't sent with
+// every API request
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/api/auth",
+});
+
+// Set refresh token cookie
+export const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie("refreshToken", refreshToken, {
+    ...refreshCookieOptions(),
+    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+  });
+};
+
+// Clear refresh token cookie
+export const clearRefreshTokenCookie = (res) => {
+  res.cookie("refreshToken", "", {
+    ...refreshCookieOptions(),
+    expires: new Date(0),
+  });
+};
+
+// Social login state cookie; sameSite "lax" so it survives the top-level
+// redirect back from the provider
+const oidcStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/api/auth/oidc",
+});
+
+// Set social login state cookie
+export const setOidcStateCookie = (res, stateToken) => {
+  res.cookie("oidcState", stateToken, {
+    ...oidcStateCookieOptions(),
+    expires: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+  });
+};
+
+// Clear social login state cookie
+export const clearOidcStateCookie = (res) => {
+  res.cookie("oidcState", "", {
+    ...oidcStateCookieOptions(),
+    expires: new Date(0),
+  });
+};
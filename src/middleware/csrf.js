@@ -0,0 +1,86 @@
+import crypto from "crypto";
+
+// CSRF protection for cookie-authenticated requests (signed double-submit
+// cookie). Browsers attach the auth cookies to cross-site requests on their
+// own, so state-changing requests authenticated that way must also echo the
+// CSRF cookie in a header, which another site can't read or set. Requests
+// authenticated with a Bearer header or API key are not affected.
+
+export const CSRF_HEADER = "x-csrf-token";
+const CSRF_COOKIE = "csrfToken";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const getSecret = () => process.env.CSRF_SECRET || process.env.JWT_SECRET;
+
+const sign = (value) =>
+  crypto.createHmac("sha256", getSecret()).update(value).digest("base64url");
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+// Protection is on unless explicitly disabled
+export const isCsrfProtectionEnabled = () =>
+  process.env.CSRF_PROTECTION !== "false";
+
+// New token: random value plus its signature, so a token planted by a
+// sibling subdomain (cookie injection) isn't accepted
+export const generateCsrfToken = () => {
+  const value = crypto.randomBytes(32).toString("base64url");
+  return `${value}.${sign(value)}`;
+};
+
+const isWellFormedCsrfToken = (token) => {
+  if (typeof token !== "string") return false;
+  const [value, signature] = token.split(".");
+  return Boolean(value && signature) && safeEqual(signature, sign(value));
+};
+
+// Set CSRF cookie (readable by the frontend so it can copy it to the header)
+export const setCsrfCookie = (res, csrfToken) => {
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    httpOnly: false,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+  });
+};
+
+// Return the request's CSRF token, issuing a new cookie if it has none
+export const ensureCsrfToken = (req, res) => {
+  const existing = req.cookies?.[CSRF_COOKIE];
+  if (isWellFormedCsrfToken(existing)) return existing;
+
+  const csrfToken = generateCsrfToken();
+  setCsrfCookie(res, csrfToken);
+  return csrfToken;
+};
+
+// Check that a state-changing request echoes its CSRF cookie in the header
+export const isCsrfRequestValid = (req) => {
+  if (!isCsrfProtectionEnabled() || SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  return (
+    isWellFormedCsrfToken(cookieToken) &&
+    typeof headerToken === "string" &&
+    safeEqual(headerToken, cookieToken)
+  );
+};
+
+// Standard rejection for a missing or mismatched CSRF token
+export const rejectCsrfRequest = (res) =>
+  res.status(403).json({
+    success: false,
+    message:
+      "Invalid or missing CSRF token. Get one from /api/auth/csrf-token and send it in the X-CSRF-Token header.",
+  });
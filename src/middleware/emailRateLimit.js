@@ -0,0 +1,40 @@
+import rateLimit from "express-rate-limit";
+
+// Rate limits for routes that send email (forgot-password, magic-link,
+// resend-verification). Those answer 200 whether or not a mail went out, so
+// the auth limiter (which only counts failures) never stops them. Here every
+// request counts, per client IP and per target address, so nobody can flood
+// an inbox.
+
+const HOUR = 60 * 60 * 1000;
+
+const limitResponse = {
+  success: false,
+  message: "Too many email requests, please try again later.",
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Address the mail goes to: the signed-in user's, or the one in the body
+const getTargetEmail = (req) =>
+  normalizeEmail(req.user?.email || req.body?.email);
+
+const emailIpLimiter = rateLimit({
+  windowMs: HOUR,
+  max: () => parseInt(process.env.EMAIL_RATE_LIMIT_MAX) || 10,
+  message: limitResponse,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const emailAddressLimiter = rateLimit({
+  windowMs: HOUR,
+  max: () => parseInt(process.env.EMAIL_RATE_LIMIT_PER_ADDRESS_MAX) || 3,
+  keyGenerator: (req) => `email:${getTargetEmail(req)}`,
+  skip: (req) => !getTargetEmail(req),
+  message: limitResponse,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+export const emailSendLimiter = [emailIpLimiter, emailAddressLimiter];
@@ -1,5 +1,8 @@
 import { body, param, query, validationResult } from "express-validator";
 import mongoose from "mongoose";
+import { ROLES } from "../config/roles.js";
+import { API_KEY_SCOPES } from "../config/apiKeys.js";
+import { AUDIT_ACTIONS } from "../models/AuditEvent.js";
 
 // Validation middleware to check for errors
 export const validate = (req, res, next) => {
@@ -57,6 +60,101 @@ export const loginValidation = [
   body("password").notEmpty().withMessage("Password is required"),
 ];
 
+export const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+];
+
+export const resetPasswordValidation = [
+  body("token")
+    .isString()
+    .trim()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid reset token"),
+
+  body("password")
+    .isLength({ min: 6, max: 128 })
+    .withMessage("Password must be between 6 and 128 characters")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one lowercase letter, one uppercase letter, and one number"
+    ),
+
+  body("confirmPassword").custom((value, { req }) => {
+    if (value !== req.body.password) {
+      throw new Error("Password confirmation does not match password");
+    }
+    return true;
+  }),
+];
+
+export const magicLinkValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+];
+
+export const magicLinkVerifyValidation = [
+  query("token").isJWT().withMessage("Invalid sign-in link"),
+];
+
+export const verifyEmailValidation = [
+  body("token")
+    .isString()
+    .trim()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid verification token"),
+];
+
+// Two-factor authentication validation rules
+export const twoFactorSetupValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+export const twoFactorCodeValidation = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit number"),
+];
+
+export const twoFactorDisableValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit number"),
+];
+
+export const twoFactorLoginValidation = [
+  body("challengeToken")
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+
+  body("code")
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit number"),
+
+  body("recoveryCode")
+    .optional()
+    .trim()
+    .isLength({ min: 11, max: 11 })
+    .withMessage("Invalid recovery code"),
+
+  body().custom((value, { req }) => {
+    if (!req.body.code && !req.body.recoveryCode) {
+      throw new Error("Either a code or a recovery code is required");
+    }
+    return true;
+  }),
+];
+
 // Interview generation validation rules
 export const generateInterviewValidation = [
   body("techStack")
@@ -149,9 +247,9 @@ export const paginationValidation = [
 export const interviewStatusValidation = [
   query("status")
     .optional()
-    .isIn(["generated", "in_progress", "completed", "abandoned"])
+    .isIn(["generated", "in_progress", "paused", "completed", "abandoned"])
     .withMessage(
-      "Status must be one of: generated, in_progress, completed, abandoned"
+      "Status must be one of: generated, in_progress, paused, completed, abandoned"
     ),
 ];
 
@@ -160,6 +258,11 @@ export const idValidation = [
   param("id").custom(isValidObjectId).withMessage("Invalid ID format"),
 ];
 
+export const dataExportDownloadValidation = [
+  param("id").custom(isValidObjectId).withMessage("Invalid ID format"),
+  query("token").isJWT().withMessage("Invalid download link"),
+];
+
 export const interviewIdValidation = [
   param("interviewId")
     .custom(isValidObjectId)
@@ -220,6 +323,230 @@ export const changePasswordValidation = [
   }),
 ];
 
+// Role change validation (admin)
+export const updateRoleValidation = [
+  body("role")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+];
+
+export const updateOrganizationValidation = [
+  body("organization")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Organization must be between 1 and 100 characters"),
+];
+
+// Admin user search validation
+export const adminUserSearchValidation = [
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Search query must be between 1 and 100 characters"),
+
+  query("role")
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false"),
+];
+
+// Admin platform stats validation
+export const adminStatsValidation = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Days must be between 1 and 365"),
+];
+
+// Account deletion requires re-entering the password
+export const deleteAccountValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+// Trash listing and restore validation
+export const trashQueryValidation = [
+  query("type")
+    .optional()
+    .isIn(["interviews", "results"])
+    .withMessage("Type must be one of: interviews, results"),
+];
+
+export const trashRestoreValidation = [
+  param("type")
+    .isIn(["interviews", "results"])
+    .withMessage("Type must be one of: interviews, results"),
+  param("id").custom(isValidObjectId).withMessage("Invalid ID format"),
+];
+
+// Interview template validation (required fields become optional when
+// updating)
+const templateRules = ({ partial }) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+
+    body("description")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    field("techStack")
+      .isArray({ min: 1, max: 10 })
+      .withMessage("Tech stack must be an array with 1-10 technologies"),
+
+    body("techStack.*")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Each technology must be between 1 and 50 characters"),
+
+    field("hardnessLevel")
+      .isIn(["Easy", "Medium", "Hard"])
+      .withMessage("Hardness level must be one of: Easy, Medium, Hard"),
+
+    field("experienceLevel")
+      .isIn(["Fresher", "Junior", "Mid", "Senior", "Lead"])
+      .withMessage(
+        "Experience level must be one of: Fresher, Junior, Mid, Senior, Lead"
+      ),
+
+    field("numberOfQuestions")
+      .isInt({ min: 3, max: 20 })
+      .withMessage("Number of questions must be between 3 and 20")
+      .toInt(),
+
+    body("questionMix")
+      .optional({ values: "null" })
+      .isObject()
+      .withMessage("Question mix must be an object"),
+
+    body([
+      "questionMix.technical",
+      "questionMix.behavioral",
+      "questionMix.problemSolving",
+    ])
+      .optional()
+      .isInt({ min: 0, max: 20 })
+      .withMessage("Question mix counts must be between 0 and 20")
+      .toInt(),
+
+    body("pinnedQuestions")
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage("Pinned questions must be an array of at most 10"),
+
+    body("pinnedQuestions.*.questionText")
+      .isString()
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage("Question text must be between 10 and 1000 characters"),
+
+    body("pinnedQuestions.*.category")
+      .optional()
+      .isIn(["Technical", "Behavioral", "Problem Solving"])
+      .withMessage(
+        "Category must be one of: Technical, Behavioral, Problem Solving"
+      ),
+
+    body("pinnedQuestions.*.expectedAnswer")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage("Expected answer cannot exceed 2000 characters"),
+
+    body("guidance")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Guidance cannot exceed 1000 characters"),
+
+    body("visibility")
+      .optional()
+      .isIn(["private", "organization"])
+      .withMessage("Visibility must be one of: private, organization"),
+  ];
+};
+
+export const createTemplateValidation = templateRules({ partial: false });
+
+export const updateTemplateValidation = templateRules({ partial: true });
+
+export const templateQueryValidation = [
+  query("scope")
+    .optional()
+    .isIn(["all", "mine", "organization"])
+    .withMessage("Scope must be one of: all, mine, organization"),
+];
+
+// Security audit log query validation
+export const auditLogQueryValidation = [
+  query("action")
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage("Unknown audit action"),
+
+  query("outcome")
+    .optional()
+    .isIn(["success", "failure"])
+    .withMessage("Outcome must be one of: success, failure"),
+];
+
+// Admin audit log query validation (extra filters on top of the above)
+export const adminAuditLogQueryValidation = [
+  query("userId")
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage("Invalid user ID format"),
+
+  query("actorId")
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage("Invalid actor ID format"),
+
+  query("ip")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage("IP must be between 1 and 64 characters"),
+];
+
+// API key creation validation
+export const createApiKeyValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("Scopes must be a non-empty array"),
+
+  body("scopes.*")
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Each scope must be one of: ${API_KEY_SCOPES.join(", ")}`),
+
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Expiry must be between 1 and 365 days"),
+];
+
 // Interview comparison validation
 export const compareResultsValidation = [
   param("id1").custom(isValidObjectId).withMessage("Invalid first result ID"),
@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 
+import softDelete from "./plugins/softDelete.js";
+
 const answerSchema = new mongoose.Schema(
   {
     interviewId: {
@@ -20,6 +22,11 @@ const answerSchema = new mongoose.Schema(
       type: String,
       required: [true, "Question text is required"],
     },
+    // Adaptive interviews: the question this one followed up on
+    parentQuestionNumber: {
+      type: Number,
+      default: null,
+    },
     answerText: {
       type: String,
       required: [true, "Answer text is required"],
@@ -29,6 +36,20 @@ const answerSchema = new mongoose.Schema(
       type: Number, // in seconds
       default: 0,
     },
+    // Time limit tracking: when the question was served and whether the
+    // answer came in after its deadline (lateAnswerPolicy "flag")
+    servedAt: {
+      type: Date,
+      default: null,
+    },
+    isLate: {
+      type: Boolean,
+      default: false,
+    },
+    lateBySeconds: {
+      type: Number,
+      default: 0,
+    },
     facialAnalysis: {
       confidence: {
         type: Number,
@@ -89,6 +110,11 @@ const answerSchema = new mongoose.Schema(
       },
       feedback: String,
       suggestions: [String],
+      // True when Gemini failed and a canned evaluation was used
+      isFallback: {
+        type: Boolean,
+        default: false,
+      },
     },
     submittedAt: {
       type: Date,
@@ -143,6 +169,9 @@ answerSchema.statics.getCompletionPercentage = async function (
   return Math.round((answeredCount / interview.numberOfQuestions) * 100);
 };
 
+// Answers are trashed and restored along with their interview
+answerSchema.plugin(softDelete);
+
 const Answer = mongoose.model("Answer", answerSchema);
 
 export default Answer;
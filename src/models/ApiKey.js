@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+import { API_KEY_SCOPES } from "../config/apiKeys.js";
+
+// Prefix that makes keys easy to recognize (e.g. by secret scanners)
+const KEY_PREFIX = "pw_";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [50, "Name cannot exceed 50 characters"],
+    },
+    // First characters of the key, shown so users can tell keys apart
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: API_KEY_SCOPES,
+            message: `Scope must be one of: ${API_KEY_SCOPES.join(", ")}`,
+          },
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+// Virtual for whether the key can currently be used
+apiKeySchema.virtual("isActive").get(function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Static method to create a key. Returns the stored document and the raw
+// key, which is only ever shown once.
+apiKeySchema.statics.createForUser = async function (
+  userId,
+  { name, scopes, expiresAt = null }
+) {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const apiKey = await this.create({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(rawKey),
+    expiresAt,
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Static method to find an active (unrevoked, unexpired) key by its raw value
+apiKeySchema.statics.findActiveByKey = function (rawKey) {
+  if (typeof rawKey !== "string" || !rawKey.startsWith(KEY_PREFIX)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    keyHash: hashKey(rawKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+// Static method to count a user's usable keys
+apiKeySchema.statics.countActiveForUser = function (userId) {
+  return this.countDocuments({
+    userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+// Instance method to record usage
+apiKeySchema.methods.recordUsage = function (ip) {
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip || null;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp } }
+  );
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// Security-relevant account events (logins, password changes, admin actions)
+export const AUDIT_ACTIONS = [
+  "auth.register",
+  "auth.login",
+  "auth.logout",
+  "auth.logout_all",
+  "auth.token_refresh",
+  "auth.token_reuse_detected",
+  "auth.account_locked",
+  "auth.password_change",
+  "auth.password_reset_request",
+  "auth.password_reset",
+  "auth.magic_link_request",
+  "auth.email_verified",
+  "auth.session_revoked",
+  "auth.identity_linked",
+  "auth.2fa_enabled",
+  "auth.2fa_disabled",
+  "auth.2fa_recovery_codes_regenerated",
+  "user.profile_update",
+  "user.profile_image_update",
+  "user.resume_upload",
+  "user.resume_delete",
+  "user.account_deletion_scheduled",
+  "user.account_deletion_cancelled",
+  "user.account_delete",
+  "user.data_export_request",
+  "user.data_export_download",
+  "user.api_key_create",
+  "user.api_key_revoke",
+  "admin.role_change",
+  "admin.user_deactivate",
+  "admin.user_reactivate",
+  "admin.force_logout",
+  "admin.organization_change",
+];
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Account the event is about (null when unknown, e.g. login for an
+    // email that doesn't exist)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Who performed the action (differs from userId for admin actions)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      enum: {
+        values: AUDIT_ACTIONS,
+        message: "Unknown audit action",
+      },
+    },
+    outcome: {
+      type: String,
+      enum: {
+        values: ["success", "failure"],
+        message: "Outcome must be one of: success, failure",
+      },
+      default: "success",
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    // How the request was authenticated: session token, API key, or none
+    authMethod: {
+      type: String,
+      enum: ["token", "api_key", "none"],
+      default: "none",
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+auditEventSchema.index({ userId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+
+export default AuditEvent;
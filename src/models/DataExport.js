@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+// A user's personal data export, built in the background
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed", "expired"],
+      default: "pending",
+    },
+    // Archive location relative to the export directory
+    fileName: {
+      type: String,
+      default: null,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    // When the download link (and archive) expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Static method to find an export that is still being built
+dataExportSchema.statics.findInProgressForUser = function (userId) {
+  return this.findOne({
+    userId,
+    status: { $in: ["pending", "processing"] },
+  });
+};
+
+// Virtual: archive can still be downloaded
+dataExportSchema.virtual("isDownloadable").get(function () {
+  return (
+    this.status === "completed" &&
+    Boolean(this.expiresAt) &&
+    this.expiresAt > new Date()
+  );
+});
+
+// Instance method to mark the archive as built; it stays downloadable
+// for `expiresInHours`
+dataExportSchema.methods.complete = async function (
+  { fileName, fileSize },
+  expiresInHours = 24
+) {
+  this.status = "completed";
+  this.fileName = fileName;
+  this.fileSize = fileSize;
+  this.completedAt = new Date();
+  this.expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.error = null;
+  return await this.save();
+};
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 
+import softDelete from "./plugins/softDelete.js";
+
 const finalResultSchema = new mongoose.Schema(
   {
     interviewId: {
@@ -96,6 +98,22 @@ const finalResultSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // Generated from the answers of an abandoned interview
+    isPartial: {
+      type: Boolean,
+      default: false,
+    },
+    // Average answer score per skill the questions assessed, so results
+    // from job-description interviews map back to the role requirements
+    skillScores: [
+      {
+        _id: false,
+        skill: String,
+        averageScore: Number,
+        questionCount: Number,
+        required: Boolean,
+      },
+    ],
     metadata: {
       aiModel: {
         type: String,
@@ -106,6 +124,11 @@ const finalResultSchema = new mongoose.Schema(
         default: "django-facial-analysis",
       },
       processingTime: Number, // in milliseconds
+      // True when Gemini failed and a canned result was used
+      isFallback: {
+        type: Boolean,
+        default: false,
+      },
       generatedAt: {
         type: Date,
         default: Date.now,
@@ -228,6 +251,9 @@ finalResultSchema.statics.getPerformanceAnalytics = async function (userId) {
   };
 };
 
+// Deleted results go to the trash first
+finalResultSchema.plugin(softDelete);
+
 const FinalResult = mongoose.model("FinalResult", finalResultSchema);
 
 export default FinalResult;
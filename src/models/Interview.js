@@ -1,5 +1,40 @@
 import mongoose from "mongoose";
 
+import softDelete from "./plugins/softDelete.js";
+
+// Pasted job description and the requirements extracted from it
+const jobPostingSchema = new mongoose.Schema(
+  {
+    companyName: {
+      type: String,
+      trim: true,
+    },
+    roleTitle: {
+      type: String,
+      trim: true,
+    },
+    jobDescription: {
+      type: String,
+      required: true,
+      maxlength: [15000, "Job description cannot exceed 15000 characters"],
+    },
+    seniority: {
+      type: String,
+      enum: ["Fresher", "Junior", "Mid", "Senior", "Lead", null],
+      default: null,
+    },
+    requiredSkills: [String],
+    niceToHaveSkills: [String],
+    responsibilities: [String],
+    extractedBy: {
+      type: String,
+      enum: ["AI", "Fallback"],
+      default: "AI",
+    },
+  },
+  { _id: false }
+);
+
 const interviewSchema = new mongoose.Schema(
   {
     userId: {
@@ -57,13 +92,130 @@ const interviewSchema = new mongoose.Schema(
           enum: ["Technical", "Behavioral", "Problem Solving"],
           default: "Technical",
         },
+        // Role requirements the question assesses (job description mode)
+        skills: [
+          {
+            type: String,
+            trim: true,
+          },
+        ],
+        // How the question got here: generated upfront, or added during an
+        // adaptive interview after the answer to parentQuestionNumber
+        origin: {
+          type: String,
+          enum: ["planned", "follow_up", "escalation"],
+          default: "planned",
+        },
+        parentQuestionNumber: {
+          type: Number,
+          default: null,
+        },
+        // Written by the user rather than generated
+        isCustom: {
+          type: Boolean,
+          default: false,
+        },
+        // When the question was first shown (per-question time limits)
+        servedAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
+    // Time limits (null = unlimited). Late answers are rejected or accepted
+    // and flagged depending on lateAnswerPolicy.
+    timeLimits: {
+      perQuestionSeconds: {
+        type: Number,
+        default: null,
+      },
+      totalSeconds: {
+        type: Number,
+        default: null,
+      },
+      lateAnswerPolicy: {
+        type: String,
+        enum: ["reject", "flag"],
+        default: "flag",
+      },
+    },
+    // When the total time limit runs out (set on start, pushed back by
+    // pauses)
+    deadlineAt: {
+      type: Date,
+      default: null,
+    },
+    // Pauses: paused time doesn't count toward duration or time limits, up
+    // to the pause budget; past pauseExpiresAt the interview resumes itself
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    pauseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    pauseCount: {
+      type: Number,
+      default: 0,
+    },
+    pausedSeconds: {
+      type: Number,
+      default: 0,
+    },
+    // Last thing the candidate did on the interview itself (start, serving
+    // a question, pausing or resuming); answers are tracked on Answer.
+    // Kept apart from servedAt, which resuming moves forward.
+    lastActivityAt: {
+      type: Date,
+      default: null,
+    },
+    // Template the interview was generated from, if any
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InterviewTemplate",
+      default: null,
+    },
+    // Retakes: every attempt at the same interview shares the first
+    // attempt's ID as seriesId (null until the first retake)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Interview",
+      default: null,
+    },
+    attemptNumber: {
+      type: Number,
+      default: 1,
+    },
+    // Adaptive mode: follow-up questions are added as answers come in, up to
+    // maxQuestions in total
+    adaptive: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      maxQuestions: {
+        type: Number,
+        default: null,
+        max: [20, "Maximum 20 questions allowed"],
+      },
+    },
+    // Job posting the interview was generated from, if any
+    jobPosting: {
+      type: jobPostingSchema,
+      default: undefined,
+    },
     status: {
       type: String,
-      enum: ["generated", "in_progress", "completed", "abandoned"],
+      enum: ["generated", "in_progress", "paused", "completed", "abandoned"],
       default: "generated",
     },
+    // Why an abandoned interview ended
+    abandonReason: {
+      type: String,
+      enum: ["time_limit", "inactivity", "user", null],
+      default: null,
+    },
     startedAt: {
       type: Date,
       default: null,
@@ -86,6 +238,11 @@ const interviewSchema = new mongoose.Schema(
         default: "gemini-2.0-flash-001",
       },
       generationPrompt: String,
+      // Questions were tailored to the user's uploaded resume
+      usedResume: {
+        type: Boolean,
+        default: false,
+      },
     },
   },
   {
@@ -102,6 +259,17 @@ const interviewSchema = new mongoose.Schema(
 // Indexes for better query performance
 interviewSchema.index({ userId: 1, createdAt: -1 });
 interviewSchema.index({ status: 1 });
+interviewSchema.index({ status: 1, deadlineAt: 1 });
+interviewSchema.index({ status: 1, pauseExpiresAt: 1 });
+interviewSchema.index({ userId: 1, seriesId: 1, attemptNumber: 1 });
+// One interview per attempt number, so concurrent retakes can't share one
+interviewSchema.index(
+  { seriesId: 1, attemptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { seriesId: { $type: "objectId" } },
+  }
+);
 interviewSchema.index({ techStack: 1 });
 interviewSchema.index({ hardnessLevel: 1, experienceLevel: 1 });
 
@@ -109,16 +277,231 @@ interviewSchema.index({ hardnessLevel: 1, experienceLevel: 1 });
 interviewSchema.methods.startInterview = async function () {
   this.status = "in_progress";
   this.startedAt = new Date();
+  this.lastActivityAt = this.startedAt;
+  if (this.timeLimits?.totalSeconds) {
+    this.deadlineAt = new Date(
+      this.startedAt.getTime() + this.timeLimits.totalSeconds * 1000
+    );
+  }
   return await this.save();
 };
 
-// Instance method to complete interview
+// Instance method to complete interview (time after the deadline doesn't count)
 interviewSchema.methods.completeInterview = async function () {
   this.status = "completed";
   this.completedAt = new Date();
+  if (this.deadlineAt && this.completedAt > this.deadlineAt) {
+    this.completedAt = this.deadlineAt;
+  }
+  if (this.startedAt) {
+    this.duration = this.getActiveSeconds(this.completedAt);
+  }
+  this.pausedAt = null;
+  this.pauseExpiresAt = null;
+  return await this.save();
+};
+
+// Instance method to get time spent on the interview, excluding pauses
+interviewSchema.methods.getActiveSeconds = function (until = new Date()) {
+  if (!this.startedAt) return 0;
+  const end = this.pausedAt && this.pausedAt < until ? this.pausedAt : until;
+  return Math.max(
+    0,
+    Math.floor((end - this.startedAt) / 1000) - (this.pausedSeconds || 0)
+  );
+};
+
+// Instance method to pause; `maxPauseSeconds` is the total pause budget
+interviewSchema.methods.pauseInterview = async function (maxPauseSeconds) {
+  this.status = "paused";
+  this.pausedAt = new Date();
+  this.lastActivityAt = this.pausedAt;
+  this.pauseExpiresAt = new Date(
+    this.pausedAt.getTime() +
+      Math.max(0, maxPauseSeconds - this.pausedSeconds) * 1000
+  );
+  this.pauseCount += 1;
+  return await this.save();
+};
+
+// Instance method to resume. Paused time (up to the budget) is credited:
+// the total deadline and the timers of served questions move back by it.
+// Only a resume by the candidate counts as activity, not an expired pause.
+interviewSchema.methods.resumeInterview = async function (
+  now = new Date(),
+  { byUser = false } = {}
+) {
+  const pauseEnd =
+    this.pauseExpiresAt && this.pauseExpiresAt < now
+      ? this.pauseExpiresAt
+      : now;
+  const creditedMs = Math.max(0, pauseEnd - this.pausedAt);
+
+  this.pausedSeconds += Math.floor(creditedMs / 1000);
+  if (this.deadlineAt) {
+    this.deadlineAt = new Date(this.deadlineAt.getTime() + creditedMs);
+  }
+  this.questions.forEach((question) => {
+    if (question.servedAt) {
+      question.servedAt = new Date(question.servedAt.getTime() + creditedMs);
+    }
+  });
+
+  this.status = "in_progress";
+  this.pausedAt = null;
+  this.pauseExpiresAt = null;
+  if (byUser) {
+    this.lastActivityAt = now;
+  }
+  return await this.save();
+};
+
+// Instance method to end an interview whose total time ran out: completed
+// if anything was answered, abandoned otherwise
+interviewSchema.methods.expire = async function (hasAnswers) {
+  if (hasAnswers) {
+    return await this.completeInterview();
+  }
+
+  return await this.abandonInterview("time_limit", this.deadlineAt);
+};
+
+// Instance method to abandon an interview; `endedAt` is when the candidate
+// was last active (defaults to now)
+interviewSchema.methods.abandonInterview = async function (
+  reason,
+  endedAt = new Date()
+) {
+  this.status = "abandoned";
+  this.abandonReason = reason;
+  this.completedAt = endedAt;
   if (this.startedAt) {
-    this.duration = Math.floor((this.completedAt - this.startedAt) / 1000);
+    this.duration = this.getActiveSeconds(this.completedAt);
+  }
+  this.pausedAt = null;
+  this.pauseExpiresAt = null;
+  return await this.save();
+};
+
+// Instance method to record when a question was first served
+interviewSchema.methods.serveQuestion = async function (questionNumber) {
+  const question = this.questions.find(
+    (q) => q.questionNumber === questionNumber
+  );
+  if (question && !question.servedAt) {
+    question.servedAt = new Date();
+    this.lastActivityAt = question.servedAt;
+    await this.save();
+  }
+  return question || null;
+};
+
+// Instance method to get a question's answer deadline (null = none)
+interviewSchema.methods.getQuestionDeadline = function (question) {
+  const deadlines = [this.deadlineAt];
+  if (this.timeLimits?.perQuestionSeconds && question.servedAt) {
+    deadlines.push(
+      new Date(
+        question.servedAt.getTime() + this.timeLimits.perQuestionSeconds * 1000
+      )
+    );
+  }
+
+  const active = deadlines.filter(Boolean);
+  return active.length ? new Date(Math.min(...active)) : null;
+};
+
+// Virtual: total time limit has run out but the interview is still open
+interviewSchema.virtual("isOverdue").get(function () {
+  return (
+    this.status === "in_progress" &&
+    Boolean(this.deadlineAt) &&
+    this.deadlineAt <= new Date()
+  );
+});
+
+// Instance method to add an adaptive question after the one just answered.
+// It goes right after its parent unless a later question was already
+// answered (then at the end), so answered question numbers never change.
+interviewSchema.methods.insertAdaptiveQuestion = async function (
+  question,
+  parentQuestionNumber,
+  answeredNumbers = []
+) {
+  const laterAnswered = answeredNumbers.some(
+    (number) => number > parentQuestionNumber
+  );
+  const position = laterAnswered
+    ? this.questions.length + 1
+    : parentQuestionNumber + 1;
+
+  this.questions.forEach((existing) => {
+    if (existing.questionNumber >= position) {
+      existing.questionNumber += 1;
+    }
+  });
+  this.questions.push({
+    ...question,
+    questionNumber: position,
+    parentQuestionNumber,
+  });
+  this.questions.sort((a, b) => a.questionNumber - b.questionNumber);
+  this.numberOfQuestions = this.questions.length;
+
+  await this.save();
+  return this.questions.find((q) => q.questionNumber === position);
+};
+
+// Virtual: an adaptive interview still has room for another question
+interviewSchema.virtual("canAddAdaptiveQuestion").get(function () {
+  return (
+    this.adaptive?.enabled === true &&
+    this.questions.length < (this.adaptive.maxQuestions || 20)
+  );
+});
+
+// Instance method to number questions by their current order after they
+// were edited (before the interview starts)
+interviewSchema.methods.renumberQuestions = function () {
+  this.questions.forEach((question, index) => {
+    question.questionNumber = index + 1;
+  });
+  this.numberOfQuestions = this.questions.length;
+  if (this.adaptive?.enabled) {
+    this.adaptive.maxQuestions = Math.max(
+      this.adaptive.maxQuestions || 0,
+      this.questions.length
+    );
   }
+};
+
+// Instance method to put questions in the given order of question numbers
+interviewSchema.methods.reorderQuestions = async function (order) {
+  this.questions = order.map((questionNumber) =>
+    this.questions.find((q) => q.questionNumber === questionNumber).toObject()
+  );
+  this.renumberQuestions();
+  return await this.save();
+};
+
+// Instance method to add a question at a position (default: the end)
+interviewSchema.methods.addQuestion = async function (
+  question,
+  position = this.questions.length + 1
+) {
+  this.questions.splice(position - 1, 0, question);
+  this.renumberQuestions();
+  await this.save();
+  return this.questions[position - 1];
+};
+
+// Instance method to remove a question; later questions move up
+interviewSchema.methods.removeQuestion = async function (questionNumber) {
+  const index = this.questions.findIndex(
+    (q) => q.questionNumber === questionNumber
+  );
+  this.questions.splice(index, 1);
+  this.renumberQuestions();
   return await this.save();
 };
 
@@ -132,6 +515,9 @@ interviewSchema.statics.getUserInterviews = function (userId, status = null) {
     .populate("userId", "name email");
 };
 
+// Deleted interviews go to the trash first
+interviewSchema.plugin(softDelete);
+
 const Interview = mongoose.model("Interview", interviewSchema);
 
 export default Interview;
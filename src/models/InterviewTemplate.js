@@ -0,0 +1,214 @@
+import mongoose from "mongoose";
+
+// Reusable interview configuration. Private templates are visible to their
+// owner only; organization templates to everyone in the owner's
+// organization (only the owner can change them).
+const interviewTemplateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    techStack: [
+      {
+        type: String,
+        required: true,
+        trim: true,
+      },
+    ],
+    hardnessLevel: {
+      type: String,
+      required: [true, "Hardness level is required"],
+      enum: {
+        values: ["Easy", "Medium", "Hard"],
+        message: "Hardness level must be one of: Easy, Medium, Hard",
+      },
+    },
+    experienceLevel: {
+      type: String,
+      required: [true, "Experience level is required"],
+      enum: {
+        values: ["Fresher", "Junior", "Mid", "Senior", "Lead"],
+        message:
+          "Experience level must be one of: Fresher, Junior, Mid, Senior, Lead",
+      },
+    },
+    // Total questions, pinned ones included
+    numberOfQuestions: {
+      type: Number,
+      required: [true, "Number of questions is required"],
+      min: [3, "Minimum 3 questions required"],
+      max: [20, "Maximum 20 questions allowed"],
+    },
+    // How many generated questions of each category (optional); must add up
+    // to the questions left after the pinned ones
+    questionMix: {
+      technical: {
+        type: Number,
+        min: 0,
+      },
+      behavioral: {
+        type: Number,
+        min: 0,
+      },
+      problemSolving: {
+        type: Number,
+        min: 0,
+      },
+    },
+    // Asked in every interview from the template, before generated ones
+    pinnedQuestions: [
+      {
+        _id: false,
+        questionText: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        category: {
+          type: String,
+          enum: ["Technical", "Behavioral", "Problem Solving"],
+          default: "Technical",
+        },
+        expectedAnswer: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    // Extra instructions for question generation
+    guidance: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Guidance cannot exceed 1000 characters"],
+    },
+    visibility: {
+      type: String,
+      enum: ["private", "organization"],
+      default: "private",
+    },
+    // Owner's organization when the template was shared
+    organization: {
+      type: String,
+      default: null,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+interviewTemplateSchema.index({ userId: 1, createdAt: -1 });
+interviewTemplateSchema.index({ organization: 1, visibility: 1 });
+
+// Pinned questions and the category mix have to fit numberOfQuestions
+interviewTemplateSchema.pre("validate", function (next) {
+  if (this.pinnedQuestions.length > this.numberOfQuestions) {
+    this.invalidate(
+      "pinnedQuestions",
+      "Pinned questions cannot exceed the number of questions"
+    );
+  }
+  if (this.hasQuestionMix && this.questionMixTotal !== this.generatedCount) {
+    this.invalidate(
+      "questionMix",
+      `Question mix must add up to ${this.generatedCount} (questions left after the pinned ones)`
+    );
+  }
+  next();
+});
+
+// Virtual: number of questions generated on top of the pinned ones
+interviewTemplateSchema.virtual("generatedCount").get(function () {
+  return this.numberOfQuestions - this.pinnedQuestions.length;
+});
+
+// Virtual: a category mix was given
+interviewTemplateSchema.virtual("hasQuestionMix").get(function () {
+  const { technical, behavioral, problemSolving } = this.questionMix || {};
+  return [technical, behavioral, problemSolving].some(
+    (count) => typeof count === "number"
+  );
+});
+
+// Virtual: number of questions the category mix accounts for
+interviewTemplateSchema.virtual("questionMixTotal").get(function () {
+  const { technical, behavioral, problemSolving } = this.questionMix || {};
+  return (technical || 0) + (behavioral || 0) + (problemSolving || 0);
+});
+
+// Instance method to check whether a user may change the template
+interviewTemplateSchema.methods.isOwnedBy = function (user) {
+  // userId may be populated
+  return this.userId._id.equals(user._id);
+};
+
+// Instance method to record a use for interview generation
+interviewTemplateSchema.methods.recordUse = async function () {
+  this.usageCount += 1;
+  this.lastUsedAt = new Date();
+  return await this.save();
+};
+
+// Static method to build the filter for templates a user can see
+interviewTemplateSchema.statics.accessibleBy = function (user) {
+  const visible = [{ userId: user._id }];
+  if (user.organization) {
+    visible.push({
+      visibility: "organization",
+      organization: user.organization,
+    });
+  }
+  return { $or: visible };
+};
+
+// Static method to move a user's shared templates along with them when
+// their organization changes; they become private when it is cleared
+interviewTemplateSchema.statics.moveSharedTemplates = async function (
+  userId,
+  organization
+) {
+  const update = organization
+    ? { organization }
+    : { visibility: "private", organization: null };
+
+  const { modifiedCount } = await this.updateMany(
+    { userId, visibility: "organization" },
+    update
+  );
+  return modifiedCount;
+};
+
+const InterviewTemplate = mongoose.model(
+  "InterviewTemplate",
+  interviewTemplateSchema
+);
+
+export default InterviewTemplate;
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+// Failed login tracking, keyed by account (normalized email) or client IP.
+// Kept in Mongo so lockouts survive restarts and work across instances.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: [true, "Scope is required"],
+      enum: {
+        values: ["account", "ip"],
+        message: "Scope must be one of: account, ip",
+      },
+    },
+    key: {
+      type: String,
+      required: [true, "Key is required"],
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Number of lockouts so far; each one lasts twice as long as the last
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Records are forgotten once idle for long enough (see expiresAt)
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the key is currently locked
+loginThrottleSchema.virtual("isLocked").get(function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Static method to record a failed attempt and lock the key once it reaches
+// maxAttempts within the failure window. Returns the updated record and
+// whether this attempt triggered a new lock.
+loginThrottleSchema.statics.recordFailure = async function (
+  scope,
+  key,
+  { maxAttempts, failureWindowMs, baseLockMs, maxLockMs, retentionMs }
+) {
+  const now = new Date();
+
+  // Failures older than the window no longer count
+  await this.updateOne(
+    { scope, key, lastFailureAt: { $lt: new Date(now - failureWindowMs) } },
+    { $set: { failures: 0 } }
+  );
+
+  let record = await this.findOneAndUpdate(
+    { scope, key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + retentionMs),
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (record.failures < maxAttempts || record.isLocked) {
+    return { record, lockedNow: false };
+  }
+
+  const lockMs = Math.min(baseLockMs * 2 ** record.lockCount, maxLockMs);
+  const lockedUntil = new Date(now.getTime() + lockMs);
+
+  // Conditional update so concurrent failures only lock once
+  const locked = await this.findOneAndUpdate(
+    { _id: record._id, failures: { $gte: maxAttempts } },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        expiresAt: new Date(lockedUntil.getTime() + retentionMs),
+      },
+      $inc: { lockCount: 1 },
+    },
+    { new: true }
+  );
+
+  return locked
+    ? { record: locked, lockedNow: true }
+    : { record, lockedNow: false };
+};
+
+// Static method to clear a key after a successful login
+loginThrottleSchema.statics.clearKey = function (scope, key) {
+  return this.deleteOne({ scope, key });
+};
+
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+
+export default LoginThrottle;
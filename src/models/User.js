@@ -1,5 +1,62 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { verifyTotp } from "../utils/totp.js";
+import { ROLES, DEFAULT_ROLE, roleHasPermission } from "../config/roles.js";
+
+// Uploaded resume and the profile parsed from it. The file itself lives
+// in RESUME_DIR (see services/resume.js).
+const resumeSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: true,
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    // Extracted plain text, kept so the profile can be re-parsed
+    text: {
+      type: String,
+      select: false,
+    },
+    profile: {
+      summary: String,
+      skills: [String],
+      roles: [
+        {
+          _id: false,
+          title: String,
+          company: String,
+          startDate: String,
+          endDate: String,
+        },
+      ],
+      yearsOfExperience: {
+        type: Number,
+        default: null,
+      },
+      projects: [
+        {
+          _id: false,
+          name: String,
+          description: String,
+          technologies: [String],
+        },
+      ],
+    },
+    parsedBy: {
+      type: String,
+      enum: ["AI", "Fallback"],
+      default: "AI",
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -21,9 +78,15 @@ const userSchema = new mongoose.Schema(
         "Please provide a valid email",
       ],
     },
+    // Optional for accounts created through social login
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return !this.identities || this.identities.length === 0;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't include password in queries by default
     },
@@ -35,24 +98,208 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    resume: {
+      type: resumeSchema,
+      default: undefined,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(", ")}`,
+      },
+      default: DEFAULT_ROLE,
+    },
+    // Organization the user belongs to (set by an admin); templates can be
+    // shared with everyone in it
+    organization: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, "Organization cannot exceed 100 characters"],
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Self-service deletion: the account is deactivated at request time and
+    // purged once deletionScheduledFor passes, unless the user logs in first
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    // New accounts start unverified. Accounts stored before verification
+    // existed have no value and count as verified (see verifyLegacyUsers).
+    emailVerified: {
+      type: Boolean,
+      default: function () {
+        return !this.isNew;
+      },
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    emailVerificationToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
     lastLogin: {
       type: Date,
       default: null,
     },
+    // One entry per login session ("token family"). Only the SHA-256 hash of
+    // the current refresh token is kept; rotation replaces it in place.
+    // Expired entries are removed by cleanupExpiredTokens (a TTL index here
+    // would expire the whole user document, not just the token).
     refreshTokens: [
       {
-        token: String,
+        tokenHash: {
+          type: String,
+          required: true,
+        },
+        family: {
+          type: String,
+          required: true,
+        },
+        userAgent: {
+          type: String,
+          default: null,
+        },
+        device: {
+          type: String,
+          default: null,
+        },
+        ip: {
+          type: String,
+          default: null,
+        },
         createdAt: {
           type: Date,
           default: Date.now,
-          expires: 2592000, // 30 days (matches JWT refresh token expiration)
+        },
+        lastUsedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // When the current refresh token was issued (drives expiry)
+        rotatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Hash of the token the current one replaced, so a concurrent
+        // refresh with it isn't mistaken for reuse (see
+        // REFRESH_ROTATION_GRACE_MS)
+        previousTokenHash: {
+          type: String,
+          default: null,
         },
       },
     ],
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      // Base32 TOTP secret once enrollment is confirmed
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // Secret awaiting confirmation with a first valid code
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      // Last accepted TOTP time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false,
+      },
+      // Wrong codes entered since the last successful second step
+      failedAttempts: {
+        type: Number,
+        default: 0,
+        select: false,
+      },
+      // Login challenges issued before this are no longer accepted
+      challengesInvalidBefore: {
+        type: Date,
+        default: null,
+        select: false,
+      },
+    },
+    // External OIDC/OAuth identities linked to this account
+    identities: [
+      {
+        provider: {
+          type: String,
+          required: true,
+        },
+        // Stable subject identifier issued by the provider
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          default: null,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastLoginAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    passwordResetToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Hash of the nonce inside the current magic login link
+    magicLinkNonce: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    magicLinkExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -60,6 +307,18 @@ const userSchema = new mongoose.Schema(
       transform: function (doc, ret) {
         delete ret.password;
         delete ret.refreshTokens;
+        delete ret.passwordResetToken;
+        delete ret.passwordResetExpires;
+        delete ret.magicLinkNonce;
+        delete ret.magicLinkExpires;
+        delete ret.emailVerificationToken;
+        delete ret.emailVerificationExpires;
+        if (ret.resume) {
+          delete ret.resume.text;
+        }
+        if (ret.twoFactor) {
+          ret.twoFactor = { enabled: ret.twoFactor.enabled };
+        }
         delete ret.__v;
         return ret;
       },
@@ -67,9 +326,27 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// How long a just-rotated refresh token is still recognized as belonging
+// to a concurrent refresh (e.g. two tabs) rather than being replayed
+const REFRESH_ROTATION_GRACE_MS = 30 * 1000;
+
+// Hash opaque tokens (reset links etc.) before they are stored
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
 // Index for better query performance
 
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1 });
+userSchema.index({ organization: 1 }, { sparse: true });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -88,6 +365,9 @@ userSchema.pre("save", async function (next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Social-login-only accounts have no password to match
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -101,21 +381,89 @@ userSchema.methods.updateLastLogin = async function () {
   return await this.save();
 };
 
+// Instance method to check a role permission
+userSchema.methods.hasPermission = function (permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Static method to promote the configured bootstrap admin
+// (BOOTSTRAP_ADMIN_EMAIL) while no admin exists yet. The email must be
+// verified, otherwise whoever registers the address first would get in.
+userSchema.statics.bootstrapAdmin = async function () {
+  const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+  if (!email) return null;
+
+  const adminExists = await this.exists({ role: "admin" });
+  if (adminExists) return null;
+
+  const user = await this.findOneAndUpdate(
+    { email: email.toLowerCase(), emailVerified: true },
+    { role: "admin" },
+    { new: true }
+  );
+
+  if (user) {
+    console.log(`👑 Bootstrapped first admin: ${user.email}`);
+  }
+  return user;
+};
+
+// Static method to mark accounts created before email verification existed
+// as verified. They never stored the field, so they'd otherwise be locked
+// out of the features that require a verified email.
+userSchema.statics.verifyLegacyUsers = async function () {
+  const { modifiedCount } = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  if (modifiedCount > 0) {
+    console.log(`📧 Marked ${modifiedCount} existing user(s) as verified`);
+  }
+  return modifiedCount;
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find the user linked to an external identity
+userSchema.statics.findByIdentity = function (provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject: String(subject) } },
+  });
+};
+
+// Instance method to link an external identity (or refresh an existing link)
+userSchema.methods.linkIdentity = async function (provider, subject, email) {
+  const existing = this.identities.find(
+    (identity) =>
+      identity.provider === provider && identity.subject === String(subject)
+  );
+
+  if (existing) {
+    existing.email = email || existing.email;
+    existing.lastLoginAt = new Date();
+  } else {
+    this.identities.push({ provider, subject: String(subject), email });
+  }
+
+  await this.save();
+  return existing ? null : this.identities[this.identities.length - 1];
+};
+
 // Instance method to clean up expired refresh tokens
 userSchema.methods.cleanupExpiredTokens = async function () {
   const now = new Date();
   const initialCount = this.refreshTokens.length;
   
-  // Remove tokens that are older than 30 days (manual cleanup for safety)
+  // Remove tokens that are older than 30 days (manual cleanup for safety),
+  // along with legacy plaintext entries that predate hashed storage
   this.refreshTokens = this.refreshTokens.filter(tokenObj => {
-    const tokenAge = now - tokenObj.createdAt;
+    const tokenAge = now - (tokenObj.rotatedAt || tokenObj.createdAt);
     const thirtyDaysInMs = 30 * 24 * 60 * 60 * 1000;
-    return tokenAge < thirtyDaysInMs;
+    return tokenObj.tokenHash && tokenAge < thirtyDaysInMs;
   });
   
   // Save if any tokens were removed
@@ -128,12 +476,22 @@ userSchema.methods.cleanupExpiredTokens = async function () {
 };
 
 // Instance method to add refresh token with automatic cleanup
-userSchema.methods.addRefreshToken = async function (token) {
+userSchema.methods.addRefreshToken = async function (
+  token,
+  family,
+  { userAgent = null, device = null, ip = null } = {}
+) {
   // Clean up expired tokens first
   await this.cleanupExpiredTokens();
   
-  // Add new token
-  this.refreshTokens.push({ token });
+  // Add new token along with the device it was issued to
+  this.refreshTokens.push({
+    tokenHash: hashToken(token),
+    family,
+    userAgent,
+    device,
+    ip,
+  });
   
   // Limit to maximum 5 active refresh tokens per user (security measure)
   if (this.refreshTokens.length > 5) {
@@ -144,6 +502,319 @@ userSchema.methods.addRefreshToken = async function (token) {
   return this;
 };
 
+// Instance method to find the stored entry for a refresh token
+userSchema.methods.findRefreshToken = function (token) {
+  const tokenHash = hashToken(token);
+  return this.refreshTokens.find((t) => t.tokenHash === tokenHash) || null;
+};
+
+// Instance method to check whether a token family still has a live session
+userSchema.methods.hasRefreshTokenFamily = function (family) {
+  return this.refreshTokens.some((t) => t.family === family);
+};
+
+// Instance method to find a session (token family) entry
+userSchema.methods.findSessionByFamily = function (family) {
+  return this.refreshTokens.find((t) => t.family === family) || null;
+};
+
+// Instance method to find the session whose token was rotated away from
+// `token` within the grace period (a concurrent refresh, not reuse)
+userSchema.methods.findRecentlyRotatedToken = function (token) {
+  const tokenHash = hashToken(token);
+  return (
+    this.refreshTokens.find(
+      (t) =>
+        t.previousTokenHash === tokenHash &&
+        Date.now() - t.rotatedAt <= REFRESH_ROTATION_GRACE_MS
+    ) || null
+  );
+};
+
+// Instance method to rotate a refresh token: the old token stops working
+// and the new one takes its place in the same family. The swap is a single
+// conditional update, so of two concurrent refreshes with the same token
+// only one wins; the other gets null.
+userSchema.methods.rotateRefreshToken = async function (oldToken, newToken) {
+  const oldHash = hashToken(oldToken);
+  const rotatedAt = new Date();
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, "refreshTokens.tokenHash": oldHash },
+    {
+      $set: {
+        "refreshTokens.$.tokenHash": hashToken(newToken),
+        "refreshTokens.$.previousTokenHash": oldHash,
+        "refreshTokens.$.rotatedAt": rotatedAt,
+        "refreshTokens.$.lastUsedAt": rotatedAt,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  // Keep this document in step with the stored one (already saved)
+  this.refreshTokens = updated.refreshTokens;
+  this.unmarkModified("refreshTokens");
+  return this.findRefreshToken(newToken);
+};
+
+// Instance method to revoke a single refresh token (logout)
+userSchema.methods.revokeRefreshToken = async function (token) {
+  const tokenHash = hashToken(token);
+  this.refreshTokens = this.refreshTokens.filter(
+    (t) => t.tokenHash !== tokenHash
+  );
+  return await this.save();
+};
+
+// Instance method to revoke a session by its id
+userSchema.methods.revokeSession = async function (sessionId) {
+  const session = this.refreshTokens.id(sessionId);
+  if (!session) return null;
+
+  this.refreshTokens.pull(sessionId);
+  await this.save();
+  return session;
+};
+
+// Instance method to revoke every session (logout everywhere)
+userSchema.methods.revokeAllSessions = async function () {
+  const revokedCount = this.refreshTokens.length;
+  this.refreshTokens = [];
+  await this.save();
+  return revokedCount;
+};
+
+// Static method to record session activity (throttled by the caller)
+userSchema.statics.touchSession = function (userId, family) {
+  return this.updateOne(
+    { _id: userId, "refreshTokens.family": family },
+    { $set: { "refreshTokens.$.lastUsedAt": new Date() } }
+  );
+};
+
+// Instance method to revoke every token in a family (reuse detected)
+userSchema.methods.revokeRefreshTokenFamily = async function (family) {
+  this.refreshTokens = this.refreshTokens.filter((t) => t.family !== family);
+  return await this.save();
+};
+
+// Instance method to issue a single-use password reset token.
+// Only the SHA-256 hash is stored; the raw token is returned for emailing.
+userSchema.methods.createPasswordResetToken = async function (
+  expiresInMinutes = 60
+) {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(
+    Date.now() + expiresInMinutes * 60 * 1000
+  );
+
+  await this.save();
+  return resetToken;
+};
+
+// Static method to find the user owning a valid (unexpired) reset token
+userSchema.statics.findByPasswordResetToken = function (resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+passwordResetToken +passwordResetExpires");
+};
+
+// Instance method to start a magic login link. Only the latest link works:
+// issuing a new one replaces the stored nonce.
+userSchema.methods.createMagicLinkNonce = async function (
+  expiresInMinutes = 15
+) {
+  const nonce = crypto.randomBytes(32).toString("hex");
+
+  this.magicLinkNonce = hashToken(nonce);
+  this.magicLinkExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  await this.save();
+  return nonce;
+};
+
+// Static method to consume a magic link nonce. Atomic, so a link can only
+// be exchanged once even if opened twice concurrently.
+userSchema.statics.consumeMagicLinkNonce = function (userId, nonce) {
+  return this.findOneAndUpdate(
+    {
+      _id: userId,
+      magicLinkNonce: hashToken(nonce),
+      magicLinkExpires: { $gt: new Date() },
+    },
+    { $set: { magicLinkNonce: null, magicLinkExpires: null } },
+    { new: true }
+  );
+};
+
+// Instance method to issue an email verification token (hash stored only)
+userSchema.methods.createEmailVerificationToken = async function (
+  expiresInHours = 24
+) {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(
+    Date.now() + expiresInHours * 60 * 60 * 1000
+  );
+
+  await this.save();
+  return verificationToken;
+};
+
+// Instance method to mark the email as verified and consume the token
+userSchema.methods.markEmailVerified = async function () {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = null;
+  this.emailVerificationExpires = null;
+  return await this.save();
+};
+
+// Virtual: account is deactivated pending scheduled deletion
+userSchema.virtual("isPendingDeletion").get(function () {
+  return Boolean(this.deletionScheduledFor);
+});
+
+// Instance method to deactivate the account and schedule its deletion
+userSchema.methods.scheduleDeletion = async function (graceDays = 14) {
+  this.isActive = false;
+  this.deletionRequestedAt = new Date();
+  this.deletionScheduledFor = new Date(
+    Date.now() + graceDays * 24 * 60 * 60 * 1000
+  );
+  this.refreshTokens = [];
+  return await this.save();
+};
+
+// Instance method to cancel a scheduled deletion and reactivate the account
+userSchema.methods.cancelDeletion = async function () {
+  this.isActive = true;
+  this.deletionRequestedAt = null;
+  this.deletionScheduledFor = null;
+  return await this.save();
+};
+
+// Static method to find accounts whose deletion grace period has passed
+userSchema.statics.findDueForDeletion = function (limit = 50) {
+  return this.find({ deletionScheduledFor: { $lte: new Date() } }).limit(limit);
+};
+
+// Static method to find the user owning a valid email verification token
+userSchema.statics.findByEmailVerificationToken = function (
+  verificationToken
+) {
+  return this.findOne({
+    emailVerificationToken: hashToken(verificationToken),
+    emailVerificationExpires: { $gt: new Date() },
+  }).select("+emailVerificationToken +emailVerificationExpires");
+};
+
+// Instance method to verify a TOTP code against the confirmed secret.
+// Requires "+twoFactor.secret +twoFactor.lastUsedStep" to be selected.
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+
+  const step = verifyTotp(this.twoFactor.secret, code);
+  if (step === null) return false;
+
+  // Reject a code from a step that has already been used
+  if (
+    this.twoFactor.lastUsedStep !== null &&
+    this.twoFactor.lastUsedStep !== undefined &&
+    step <= this.twoFactor.lastUsedStep
+  ) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  await this.save();
+  return true;
+};
+
+// Instance method to check that a login challenge issued at `issuedAt`
+// (JWT iat, in seconds) hasn't been invalidated by too many wrong codes.
+// Requires "+twoFactor.challengesInvalidBefore" to be selected.
+userSchema.methods.isTwoFactorChallengeValid = function (issuedAt) {
+  const invalidBefore = this.twoFactor.challengesInvalidBefore;
+  return !invalidBefore || issuedAt * 1000 > invalidBefore.getTime();
+};
+
+// Instance method to count a wrong code against the login challenges. After
+// `maxAttempts` every outstanding challenge is invalidated, so the first
+// factor has to be passed again. Returns whether that happened.
+userSchema.methods.recordFailedTwoFactorAttempt = async function (
+  maxAttempts = 5
+) {
+  // Incremented atomically so parallel guesses all count
+  const { twoFactor } = await this.constructor
+    .findByIdAndUpdate(
+      this._id,
+      { $inc: { "twoFactor.failedAttempts": 1 } },
+      { new: true }
+    )
+    .select("+twoFactor.failedAttempts");
+
+  if (twoFactor.failedAttempts < maxAttempts) return false;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      "twoFactor.failedAttempts": 0,
+      "twoFactor.challengesInvalidBefore": new Date(),
+    }
+  );
+  return true;
+};
+
+// Instance method to reset the wrong code count after a successful second step
+userSchema.methods.clearFailedTwoFactorAttempts = async function () {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { "twoFactor.failedAttempts": 0 }
+  );
+};
+
+// Instance method to replace the recovery codes. Returns the raw codes,
+// which are shown to the user once; only hashes are stored.
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Instance method to consume a recovery code.
+// Requires "+twoFactor.recoveryCodes" to be selected.
+userSchema.methods.useRecoveryCode = async function (code) {
+  const codeHash = hashToken(String(code || "").trim().toLowerCase());
+  const index = this.twoFactor.recoveryCodes.indexOf(codeHash);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  await this.save();
+  return true;
+};
+
+// Instance method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = async function () {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = null;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = null;
+  return await this.save();
+};
+
 // Static method to get user stats
 userSchema.statics.getUserStats = async function () {
   const stats = await this.aggregate([
@@ -0,0 +1,83 @@
+// Soft delete ("trash") support for a schema. Trashed documents keep their
+// data but carry a `deletedAt` date, and every read or update query skips
+// them unless it asks otherwise:
+//
+//   Model.find(filter)                         // live documents only
+//   Model.find(filter).withDeleted()           // live and trashed
+//   Model.find({ deletedAt: { $ne: null } })   // filters on deletedAt are kept
+//
+// deleteOne/deleteMany are left alone so hard deletes (purges, account
+// deletion) still remove trashed documents too.
+
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+];
+
+export default function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Trashed together with a parent document (restored with it)
+    deletedWithParent: {
+      type: Boolean,
+      default: false,
+    },
+  });
+
+  schema.index({ deletedAt: 1 }, { sparse: true });
+
+  // Query helper: include trashed documents
+  schema.query.withDeleted = function () {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this._withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  // Aggregations: prepend a match unless the first stage filters deletedAt
+  schema.pre("aggregate", function () {
+    const [firstStage] = this.pipeline();
+    if (
+      firstStage?.$match &&
+      Object.prototype.hasOwnProperty.call(firstStage.$match, "deletedAt")
+    ) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Instance method to move a document to the trash
+  schema.methods.moveToTrash = async function ({ withParent = false } = {}) {
+    this.deletedAt = new Date();
+    this.deletedWithParent = withParent;
+    return await this.save();
+  };
+
+  // Instance method to take a document out of the trash
+  schema.methods.restoreFromTrash = async function () {
+    this.deletedAt = null;
+    this.deletedWithParent = false;
+    return await this.save();
+  };
+
+  // Virtual: document is in the trash
+  schema.virtual("isTrashed").get(function () {
+    return Boolean(this.deletedAt);
+  });
+}
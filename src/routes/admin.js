@@ -0,0 +1,645 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+
+import User from "../models/User.js";
+import Interview from "../models/Interview.js";
+import Answer from "../models/Answer.js";
+import FinalResult from "../models/FinalResult.js";
+import AuditEvent from "../models/AuditEvent.js";
+import InterviewTemplate from "../models/InterviewTemplate.js";
+import { authenticateUser, requirePermission } from "../middleware/auth.js";
+import {
+  userIdValidation,
+  updateRoleValidation,
+  updateOrganizationValidation,
+  paginationValidation,
+  interviewStatusValidation,
+  adminUserSearchValidation,
+  adminStatsValidation,
+  auditLogQueryValidation,
+  adminAuditLogQueryValidation,
+  dateRangeValidation,
+  validate,
+} from "../middleware/validation.js";
+import { ROLES, ROLE_PERMISSIONS, PERMISSIONS } from "../config/roles.js";
+import { recordAuditEvent } from "../services/auditLog.js";
+import { escapeRegex } from "../utils/helpers.js";
+
+const router = express.Router();
+
+// Load the user addressed by :userId onto req.targetUser
+const loadTargetUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  req.targetUser = user;
+  next();
+});
+
+// Whether `user` is the only active admin left (the platform must keep one)
+const isLastActiveAdmin = async (user) =>
+  user.role === "admin" &&
+  user.isActive &&
+  (await User.countDocuments({ role: "admin", isActive: true })) <= 1;
+
+// Build pagination metadata in the shape used across the API
+const buildPagination = (page, limit, total) => ({
+  page: parseInt(page),
+  limit: parseInt(limit),
+  total,
+  pages: Math.ceil(total / limit),
+  hasNext: page * limit < total,
+  hasPrev: page > 1,
+});
+
+// Count documents per day (YYYY-MM-DD) created since a date
+const countPerDay = (Model, since, match = {}) =>
+  Model.aggregate([
+    { $match: { createdAt: { $gte: since }, ...match } },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: "$_id", count: 1 } },
+  ]);
+
+// Share of AI outputs that came from the canned fallback, as a percentage
+const fallbackRate = async (Model, since, fallbackMatch) => {
+  const [total, fallbacks] = await Promise.all([
+    Model.countDocuments({ createdAt: { $gte: since } }),
+    Model.countDocuments({ createdAt: { $gte: since }, ...fallbackMatch }),
+  ]);
+
+  return {
+    total,
+    fallbacks,
+    rate: total > 0 ? Math.round((fallbacks / total) * 1000) / 10 : 0,
+  };
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (users:read)
+router.get(
+  "/users",
+  authenticateUser,
+  requirePermission(PERMISSIONS.USERS_READ),
+  paginationValidation,
+  adminUserSearchValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { q, role, isActive, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      User.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: buildPagination(page, limit, total),
+      },
+    });
+  })
+);
+
+// @desc    Get a user's account details and activity summary
+// @route   GET /api/admin/users/:userId
+// @access  Private (users:read)
+router.get(
+  "/users/:userId",
+  authenticateUser,
+  requirePermission(PERMISSIONS.USERS_READ),
+  userIdValidation,
+  validate,
+  loadTargetUser,
+  asyncHandler(async (req, res) => {
+    const user = req.targetUser;
+
+    const [interviewCount, resultCount, avgScore] = await Promise.all([
+      Interview.countDocuments({ userId: user._id }),
+      FinalResult.countDocuments({ userId: user._id }),
+      FinalResult.aggregate([
+        { $match: { userId: user._id } },
+        { $group: { _id: null, avgScore: { $avg: "$overallScore" } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        activeSessions: user.refreshTokens.length,
+        stats: {
+          interviewsCreated: interviewCount,
+          interviewsTaken: resultCount,
+          averageScore:
+            avgScore.length > 0 ? Math.round(avgScore[0].avgScore) : 0,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Deactivate a user account
+// @route   PUT /api/admin/users/:userId/deactivate
+// @access  Private (users:manage)
+router.put(
+  "/users/:userId/deactivate",
+  authenticateUser,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userIdValidation,
+  validate,
+  loadTargetUser,
+  asyncHandler(async (req, res) => {
+    const user = req.targetUser;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot deactivate the last admin",
+      });
+    }
+
+    // Deactivated users are also logged out everywhere. A pending
+    // self-service deletion is dropped too: logging in would cancel it and
+    // reactivate the account.
+    user.isActive = false;
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    user.refreshTokens = [];
+    await user.save();
+
+    await recordAuditEvent(req, {
+      action: "admin.user_deactivate",
+      userId: user._id,
+    });
+
+    res.json({
+      success: true,
+      message: "User account deactivated",
+      data: {
+        user: { id: user._id, email: user.email, isActive: user.isActive },
+      },
+    });
+  })
+);
+
+// @desc    Reactivate a user account
+// @route   PUT /api/admin/users/:userId/reactivate
+// @access  Private (users:manage)
+router.put(
+  "/users/:userId/reactivate",
+  authenticateUser,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userIdValidation,
+  validate,
+  loadTargetUser,
+  asyncHandler(async (req, res) => {
+    const user = req.targetUser;
+
+    // Reactivating also cancels a self-service deletion request
+    user.isActive = true;
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    await recordAuditEvent(req, {
+      action: "admin.user_reactivate",
+      userId: user._id,
+    });
+
+    res.json({
+      success: true,
+      message: "User account reactivated",
+      data: {
+        user: { id: user._id, email: user.email, isActive: user.isActive },
+      },
+    });
+  })
+);
+
+// @desc    Force logout a user from all devices
+// @route   POST /api/admin/users/:userId/logout
+// @access  Private (users:manage)
+router.post(
+  "/users/:userId/logout",
+  authenticateUser,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userIdValidation,
+  validate,
+  loadTargetUser,
+  asyncHandler(async (req, res) => {
+    const revokedCount = await req.targetUser.revokeAllSessions();
+
+    await recordAuditEvent(req, {
+      action: "admin.force_logout",
+      userId: req.targetUser._id,
+      metadata: { revokedSessions: revokedCount },
+    });
+
+    res.json({
+      success: true,
+      message: "User logged out from all devices",
+      data: {
+        revokedSessions: revokedCount,
+      },
+    });
+  })
+);
+
+// @desc    Get a user's interviews
+// @route   GET /api/admin/users/:userId/interviews
+// @access  Private (interviews:read_any)
+router.get(
+  "/users/:userId/interviews",
+  authenticateUser,
+  requirePermission(PERMISSIONS.INTERVIEWS_READ_ANY),
+  userIdValidation,
+  paginationValidation,
+  interviewStatusValidation,
+  validate,
+  loadTargetUser,
+  asyncHandler(async (req, res) => {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const query = { userId: req.targetUser._id };
+    if (status) query.status = status;
+
+    const [interviews, total] = await Promise.all([
+      Interview.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Interview.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        interviews,
+        pagination: buildPagination(page, limit, total),
+      },
+    });
+  })
+);
+
+// @desc    Get a user's results
+// @route   GET /api/admin/users/:userId/results
+// @access  Private (results:read_any)
+router.get(
+  "/users/:userId/results",
+  authenticateUser,
+  requirePermission(PERMISSIONS.RESULTS_READ_ANY),
+  userIdValidation,
+  paginationValidation,
+  validate,
+  loadTargetUser,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { userId: req.targetUser._id };
+
+    const [results, total] = await Promise.all([
+      FinalResult.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .populate(
+          "interviewId",
+          "techStack hardnessLevel experienceLevel numberOfQuestions"
+        ),
+      FinalResult.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        pagination: buildPagination(page, limit, total),
+      },
+    });
+  })
+);
+
+// @desc    Get platform-wide statistics
+// @route   GET /api/admin/stats
+// @access  Private (platform_stats:read)
+router.get(
+  "/stats",
+  authenticateUser,
+  requirePermission(PERMISSIONS.PLATFORM_STATS_READ),
+  adminStatsValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const days = parseInt(req.query.days) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [
+      userStats,
+      signupsPerDay,
+      interviewsPerDay,
+      scoreStats,
+      questionFallbacks,
+      evaluationFallbacks,
+      resultFallbacks,
+    ] = await Promise.all([
+      User.getUserStats(),
+      countPerDay(User, since),
+      countPerDay(Interview, since),
+      FinalResult.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            avgScore: { $avg: "$overallScore" },
+            passed: { $sum: { $cond: ["$passed", 1, 0] } },
+            technicalKnowledge: { $avg: "$categoryScores.technicalKnowledge" },
+            communication: { $avg: "$categoryScores.communication" },
+            problemSolving: { $avg: "$categoryScores.problemSolving" },
+            confidence: { $avg: "$categoryScores.confidence" },
+            facialAnalysis: { $avg: "$categoryScores.facialAnalysis" },
+          },
+        },
+      ]),
+      fallbackRate(Interview, since, { "metadata.generatedBy": "Fallback" }),
+      fallbackRate(Answer, since, { "aiEvaluation.isFallback": true }),
+      fallbackRate(FinalResult, since, { "metadata.isFallback": true }),
+    ]);
+
+    const scores = scoreStats[0] || { total: 0, passed: 0 };
+    const aiCalls =
+      questionFallbacks.total + evaluationFallbacks.total + resultFallbacks.total;
+    const aiFallbacks =
+      questionFallbacks.fallbacks +
+      evaluationFallbacks.fallbacks +
+      resultFallbacks.fallbacks;
+
+    res.json({
+      success: true,
+      data: {
+        period: { days, since },
+        users: {
+          ...userStats,
+          signupsPerDay,
+        },
+        interviews: {
+          generatedInPeriod: interviewsPerDay.reduce(
+            (sum, day) => sum + day.count,
+            0
+          ),
+          generatedPerDay: interviewsPerDay,
+        },
+        scores: {
+          totalResults: scores.total,
+          averageScore: Math.round(scores.avgScore || 0),
+          passRate:
+            scores.total > 0
+              ? Math.round((scores.passed / scores.total) * 100)
+              : 0,
+          categoryAverages: {
+            technicalKnowledge: Math.round(scores.technicalKnowledge || 0),
+            communication: Math.round(scores.communication || 0),
+            problemSolving: Math.round(scores.problemSolving || 0),
+            confidence: Math.round(scores.confidence || 0),
+            facialAnalysis: Math.round(scores.facialAnalysis || 0),
+          },
+        },
+        geminiFallback: {
+          questionGeneration: questionFallbacks,
+          answerEvaluation: evaluationFallbacks,
+          finalResults: resultFallbacks,
+          overallRate:
+            aiCalls > 0 ? Math.round((aiFallbacks / aiCalls) * 1000) / 10 : 0,
+        },
+      },
+    });
+  })
+);
+
+// @desc    List roles and the permissions they grant
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+router.get(
+  "/roles",
+  authenticateUser,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  asyncHandler(async (req, res) => {
+    const counts = await User.aggregate([
+      { $group: { _id: "$role", count: { $sum: 1 } } },
+    ]);
+    const countByRole = counts.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        roles: ROLES.map((role) => ({
+          role,
+          permissions: ROLE_PERMISSIONS[role],
+          userCount: countByRole[role] || 0,
+        })),
+      },
+    });
+  })
+);
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:userId/role
+// @access  Private (roles:manage)
+router.put(
+  "/users/:userId/role",
+  authenticateUser,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  userIdValidation,
+  updateRoleValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Never leave the platform without an active admin
+    if (role !== "admin" && (await isLastActiveAdmin(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot remove the last admin",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAuditEvent(req, {
+      action: "admin.role_change",
+      userId: user._id,
+      metadata: { previousRole, role },
+    });
+
+    res.json({
+      success: true,
+      message: "User role updated successfully",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          previousRole,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Set or clear a user's organization
+// @route   PUT /api/admin/users/:userId/organization
+// @access  Private (users:manage)
+router.put(
+  "/users/:userId/organization",
+  authenticateUser,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userIdValidation,
+  updateOrganizationValidation,
+  validate,
+  loadTargetUser,
+  asyncHandler(async (req, res) => {
+    const user = req.targetUser;
+    const previousOrganization = user.organization;
+
+    user.organization = req.body.organization || null;
+    await user.save();
+
+    // Shared templates must not stay visible to the old organization
+    const templatesUpdated =
+      previousOrganization === user.organization
+        ? 0
+        : await InterviewTemplate.moveSharedTemplates(
+            user._id,
+            user.organization
+          );
+
+    await recordAuditEvent(req, {
+      action: "admin.organization_change",
+      userId: user._id,
+      metadata: {
+        previousOrganization,
+        organization: user.organization,
+        templatesUpdated,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "User organization updated successfully",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          organization: user.organization,
+          previousOrganization,
+        },
+        templatesUpdated,
+      },
+    });
+  })
+);
+
+// @desc    Query the security audit log
+// @route   GET /api/admin/audit-events
+// @access  Private (audit_log:read)
+router.get(
+  "/audit-events",
+  authenticateUser,
+  requirePermission(PERMISSIONS.AUDIT_LOG_READ),
+  paginationValidation,
+  auditLogQueryValidation,
+  adminAuditLogQueryValidation,
+  dateRangeValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const {
+      userId,
+      actorId,
+      action,
+      outcome,
+      ip,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const query = {};
+    if (userId) query.userId = userId;
+    if (actorId) query.actorId = actorId;
+    if (action) query.action = action;
+    if (outcome) query.outcome = outcome;
+    if (ip) query.ip = ip;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .populate("userId", "name email")
+        .populate("actorId", "name email"),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: buildPagination(page, limit, total),
+      },
+    });
+  })
+);
+
+export default router;
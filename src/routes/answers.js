@@ -7,6 +7,11 @@ import Interview from "../models/Interview.js";
 import { authenticateUser } from "../middleware/auth.js";
 import { body, param, validationResult } from "express-validator";
 import { evaluateAnswer } from "../config/gemini.js";
+import { addAdaptiveQuestion } from "../services/adaptiveInterview.js";
+import {
+  expireInterviewIfOverdue,
+  getAnswerTiming,
+} from "../services/interviewTimer.js";
 import {
   facialAnalysisService,
   processFacialAnalysisData,
@@ -31,6 +36,22 @@ const upload = multer({
   },
 });
 
+// Response for submissions after the interview's total time ran out
+const timeUpResponse = (interview) => ({
+  success: false,
+  message: "Time is up for this interview",
+  data: {
+    status: interview.status,
+    deadlineAt: interview.deadlineAt,
+  },
+});
+
+// Response for submissions while the interview is paused
+const PAUSED_RESPONSE = {
+  success: false,
+  message: "Interview is paused. Resume it to continue answering.",
+};
+
 // Validation middleware
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -95,6 +116,15 @@ router.post(
       });
     }
 
+    // Close the interview first if its total time ran out
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json(timeUpResponse(interview));
+    }
+
+    if (interview.status === "paused") {
+      return res.status(400).json(PAUSED_RESPONSE);
+    }
+
     // Check if interview is in progress
     if (interview.status !== "in_progress") {
       return res.status(400).json({
@@ -103,6 +133,15 @@ router.post(
       });
     }
 
+    // Per-question timers need each answer submitted as it's given
+    if (interview.timeLimits?.perQuestionSeconds) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This interview has per-question time limits. Submit answers one at a time with POST /api/answers.",
+      });
+    }
+
     try {
       // Process facial analysis once for the entire interview
       let overallFacialAnalysis = null;
@@ -190,6 +229,7 @@ router.post(
           userId,
           questionNumber: parseInt(questionNumber),
           questionText: question.questionText,
+          parentQuestionNumber: question.parentQuestionNumber,
           answerText: answerText.trim(),
           answerDuration: parseInt(answerDuration),
           facialAnalysis: overallFacialAnalysis, // Same facial analysis for all answers
@@ -283,6 +323,15 @@ router.post(
       });
     }
 
+    // Close the interview first if its total time ran out
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json(timeUpResponse(interview));
+    }
+
+    if (interview.status === "paused") {
+      return res.status(400).json(PAUSED_RESPONSE);
+    }
+
     // Check if interview is in progress
     if (interview.status !== "in_progress") {
       return res.status(400).json({
@@ -310,6 +359,25 @@ router.post(
       });
     }
 
+    // Time limits are measured from when the question was served
+    const timing = getAnswerTiming(interview, question);
+    if (timing.notServed) {
+      return res.status(400).json({
+        success: false,
+        message: `This question has a time limit. Serve it first with POST /api/interviews/${interviewId}/questions/${questionNumber}/serve.`,
+      });
+    }
+    if (timing.isLate && interview.timeLimits.lateAnswerPolicy === "reject") {
+      return res.status(400).json({
+        success: false,
+        message: "Time limit for this question has passed",
+        data: {
+          deadline: timing.deadline,
+          lateBySeconds: timing.lateBySeconds,
+        },
+      });
+    }
+
     try {
       // Check if answer already exists
       const existingAnswer = await Answer.findOne({
@@ -370,12 +438,24 @@ router.post(
         userId,
         questionNumber: parseInt(questionNumber),
         questionText: question.questionText,
+        parentQuestionNumber: question.parentQuestionNumber,
         answerText: answerText.trim(),
-        answerDuration: parseInt(answerDuration),
+        // Server-measured when the question was served
+        answerDuration: timing.elapsedSeconds ?? parseInt(answerDuration),
+        servedAt: timing.servedAt,
+        isLate: timing.isLate,
+        lateBySeconds: timing.lateBySeconds,
         facialAnalysis,
         aiEvaluation,
       });
 
+      // Adaptive interviews may get a follow-up or harder question next
+      const adaptiveQuestion = await addAdaptiveQuestion(
+        interview,
+        question,
+        answer
+      );
+
       await answer.populate(
         "interviewId",
         "techStack hardnessLevel experienceLevel numberOfQuestions"
@@ -396,6 +476,14 @@ router.post(
                 }
               : null,
           },
+          adaptiveQuestion: adaptiveQuestion && {
+            questionNumber: adaptiveQuestion.questionNumber,
+            questionText: adaptiveQuestion.questionText,
+            category: adaptiveQuestion.category,
+            origin: adaptiveQuestion.origin,
+            parentQuestionNumber: adaptiveQuestion.parentQuestionNumber,
+          },
+          totalQuestions: interview.numberOfQuestions,
         },
       });
     } catch (error) {
@@ -514,13 +602,39 @@ router.put(
 
     // Get interview to check status
     const interview = await Interview.findById(answer.interviewId);
-    if (interview.status === "completed") {
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json(timeUpResponse(interview));
+    }
+    if (interview.status === "paused") {
+      return res.status(400).json(PAUSED_RESPONSE);
+    }
+    if (interview.status !== "in_progress") {
       return res.status(400).json({
         success: false,
-        message: "Cannot update answer for completed interview",
+        message: "Answers can only be updated while the interview is in progress",
       });
     }
 
+    // Rewriting an answer after its question's deadline counts as late
+    const timedQuestion = interview.questions.find(
+      (q) => q.questionNumber === answer.questionNumber
+    );
+    const timing = timedQuestion && getAnswerTiming(interview, timedQuestion);
+    if (answerText && timing?.isLate) {
+      if (interview.timeLimits.lateAnswerPolicy === "reject") {
+        return res.status(400).json({
+          success: false,
+          message: "Time limit for this question has passed",
+          data: {
+            deadline: timing.deadline,
+            lateBySeconds: timing.lateBySeconds,
+          },
+        });
+      }
+      answer.isLate = true;
+      answer.lateBySeconds = timing.lateBySeconds;
+    }
+
     try {
       // Update answer text if provided
       if (answerText) {
@@ -611,10 +725,16 @@ router.delete(
 
     // Check if interview is still in progress
     const interview = await Interview.findById(answer.interviewId);
-    if (interview.status === "completed") {
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json(timeUpResponse(interview));
+    }
+    if (interview.status === "paused") {
+      return res.status(400).json(PAUSED_RESPONSE);
+    }
+    if (interview.status !== "in_progress") {
       return res.status(400).json({
         success: false,
-        message: "Cannot delete answer for completed interview",
+        message: "Answers can only be deleted while the interview is in progress",
       });
     }
 
@@ -796,6 +916,15 @@ router.post(
       });
     }
 
+    // Close the interview first if its total time ran out
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json(timeUpResponse(interview));
+    }
+
+    if (interview.status === "paused") {
+      return res.status(400).json(PAUSED_RESPONSE);
+    }
+
     // Check if interview is in progress
     if (interview.status !== "in_progress") {
       return res.status(400).json({
@@ -804,6 +933,15 @@ router.post(
       });
     }
 
+    // Per-question timers need each answer submitted as it's given
+    if (interview.timeLimits?.perQuestionSeconds) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This interview has per-question time limits. Submit answers one at a time with POST /api/answers.",
+      });
+    }
+
     try {
       // Use provided facial analysis result or null if not provided
       const overallFacialAnalysis = facialAnalysisResult || null;
@@ -849,6 +987,7 @@ router.post(
           userId,
           questionNumber: parseInt(questionNumber),
           questionText: question.questionText,
+          parentQuestionNumber: question.parentQuestionNumber,
           answerText: answerText.trim(),
           answerDuration: parseInt(answerDuration),
           facialAnalysis: overallFacialAnalysis,
@@ -1,5 +1,6 @@
 import express from "express";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 import asyncHandler from "express-async-handler";
 import { body } from "express-validator";
 
@@ -11,15 +12,211 @@ import {
   authenticateUser,
   setTokenCookie,
   clearTokenCookie,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+  generateTwoFactorChallengeToken,
+  generateOidcStateToken,
+  generateMagicLinkToken,
+  setOidcStateCookie,
+  clearOidcStateCookie,
 } from "../middleware/auth.js";
+import {
+  CSRF_HEADER,
+  ensureCsrfToken,
+  isCsrfRequestValid,
+  rejectCsrfRequest,
+} from "../middleware/csrf.js";
+import { emailSendLimiter } from "../middleware/emailRateLimit.js";
 import {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
+  idValidation,
+  twoFactorSetupValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  twoFactorLoginValidation,
+  magicLinkValidation,
+  magicLinkVerifyValidation,
   validate,
 } from "../middleware/validation.js";
+import {
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  issueEmailVerification,
+  buildClientUrl,
+} from "../services/mailer.js";
+import {
+  getActiveLoginLock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} from "../services/loginProtection.js";
+import { recordAuditEvent } from "../services/auditLog.js";
+import {
+  generateRandomToken,
+  createPkcePair,
+  buildAuthorizationUrl,
+  getExternalProfile,
+} from "../services/oidcClient.js";
+import { getOidcProviders, getOidcProvider } from "../config/oidc.js";
+import { getClientInfo } from "../utils/helpers.js";
+import { generateTotpSecret, buildOtpauthUri } from "../utils/totp.js";
 
 const router = express.Router();
 
+// Issue an access token and start a new refresh token family (session)
+const issueTokens = async (req, res, user) => {
+  const family = crypto.randomUUID();
+  const token = generateToken(user._id, family);
+  const refreshToken = generateRefreshToken(user._id, family);
+
+  // Save refresh token (hashed) to user with automatic cleanup, recording
+  // the device it was issued to
+  await user.addRefreshToken(refreshToken, family, getClientInfo(req));
+
+  // Set token cookies, plus the CSRF cookie cookie-based clients need
+  setTokenCookie(res, token);
+  setRefreshTokenCookie(res, refreshToken);
+  ensureCsrfToken(req, res);
+
+  return { token, refreshToken };
+};
+
+// Promote the configured first admin once their email is verified
+const promoteBootstrapAdmin = async (user) => {
+  const bootstrappedAdmin = await User.bootstrapAdmin();
+  if (bootstrappedAdmin && bootstrappedAdmin._id.equals(user._id)) {
+    user.role = bootstrappedAdmin.role;
+  }
+};
+
+// Respond with 429 if the account or client IP is locked out.
+// Returns true when the request has been rejected.
+const rejectIfLoginLocked = async (req, res, email) => {
+  const lock = await getActiveLoginLock({ email, ip: req.ip });
+  if (!lock) return false;
+
+  await recordAuditEvent(req, {
+    action: "auth.login",
+    outcome: "failure",
+    userId: null,
+    metadata: { email, reason: "locked" },
+  });
+
+  res.set("Retry-After", String(lock.retryAfter));
+  res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(
+      lock.retryAfter / 60
+    )} minute(s).`,
+    data: {
+      lockedUntil: lock.lockedUntil,
+    },
+  });
+  return true;
+};
+
+// Count a failed credential check and email the owner if it locked them out
+const handleFailedLogin = async (
+  req,
+  email,
+  user = null,
+  reason = "invalid_credentials"
+) => {
+  const { accountLocked, lockedUntil } = await recordFailedLogin({
+    email,
+    ip: req.ip,
+  });
+
+  await recordAuditEvent(req, {
+    action: "auth.login",
+    outcome: "failure",
+    userId: user?._id || null,
+    metadata: { email, reason },
+  });
+
+  if (accountLocked) {
+    await recordAuditEvent(req, {
+      action: "auth.account_locked",
+      userId: user?._id || null,
+      metadata: { email, lockedUntil },
+    });
+  }
+
+  if (accountLocked && user) {
+    try {
+      await sendAccountLockedEmail(user, lockedUntil);
+    } catch (error) {
+      console.error("Error sending account locked email:", error);
+    }
+  }
+};
+
+// Accounts deactivated only because deletion was requested may still sign
+// in; doing so cancels the deletion
+const canSignIn = (user) => user.isActive || user.isPendingDeletion;
+
+// Record a successful login and issue its tokens.
+// `auditMetadata` describes how the user authenticated.
+const startSession = async (req, res, user, auditMetadata = {}) => {
+  // Successful sign-in resets the account's failed attempt counter
+  await recordSuccessfulLogin({ email: user.email });
+
+  const deletionCancelled = user.isPendingDeletion;
+  if (deletionCancelled) {
+    await user.cancelDeletion();
+    await recordAuditEvent(req, {
+      action: "user.account_deletion_cancelled",
+      userId: user._id,
+    });
+  }
+
+  await recordAuditEvent(req, {
+    action: "auth.login",
+    userId: user._id,
+    metadata: { method: "password", ...auditMetadata },
+  });
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Generate tokens and set cookies
+  const tokens = await issueTokens(req, res, user);
+  return { ...tokens, deletionCancelled };
+};
+
+// Finish a successful login: start the session and respond
+const completeLogin = async (req, res, user, auditMetadata = {}) => {
+  const { token, refreshToken, deletionCancelled } = await startSession(
+    req,
+    res,
+    user,
+    auditMetadata
+  );
+
+  res.json({
+    success: true,
+    message: deletionCancelled
+      ? "Login successful. Your scheduled account deletion has been cancelled."
+      : "Login successful",
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        lastLogin: user.lastLogin,
+      },
+      token,
+      refreshToken,
+    },
+  });
+};
+
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -46,24 +243,33 @@ router.post(
       password,
     });
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Send verification email (registration still succeeds if it fails;
+    // the user can request another one)
+    try {
+      await issueEmailVerification(user);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
 
-    // Save refresh token to user with automatic cleanup
-    await user.addRefreshToken(refreshToken);
+    await recordAuditEvent(req, {
+      action: "auth.register",
+      userId: user._id,
+    });
 
-    // Set token cookie
-    setTokenCookie(res, token);
+    // Generate tokens and set cookies
+    const { token, refreshToken } = await issueTokens(req, res, user);
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
+      message:
+        "User registered successfully. Please check your email to verify your account.",
       data: {
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt,
         },
         token,
@@ -83,59 +289,741 @@ router.post(
   asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
-    // Find user and include password for comparison
-    const user = await User.findByEmail(email).select("+password");
-    if (!user) {
-      return res.status(401).json({
+    // Refuse outright while the account or IP is locked out
+    if (await rejectIfLoginLocked(req, res, email)) return;
+
+    // Find user and include password for comparison
+    const user = await User.findByEmail(email).select("+password");
+    if (!user) {
+      // Unknown emails are throttled too, so lockouts don't reveal accounts
+      await handleFailedLogin(req, email);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Check if user is active (or only pending deletion)
+    if (!canSignIn(user)) {
+      await recordAuditEvent(req, {
+        action: "auth.login",
+        outcome: "failure",
+        userId: user._id,
+        metadata: { email: user.email, reason: "account_deactivated" },
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Account is deactivated. Please contact support.",
+      });
+    }
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await handleFailedLogin(req, email, user);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // With 2FA enabled the password only earns a short-lived challenge,
+    // exchanged at /2fa/verify for real tokens
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallengeToken(user._id),
+        },
+      });
+    }
+
+    await completeLogin(req, res, user);
+  })
+);
+
+// @desc    Email a single-use sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+router.post(
+  "/magic-link",
+  emailSendLimiter,
+  magicLinkValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    const expiresInMinutes =
+      parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 15;
+
+    // Always respond the same way so the endpoint can't be used to
+    // discover which emails are registered
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for this email, a sign-in link has been sent",
+    };
+
+    const user = await User.findByEmail(email);
+    if (!user || !canSignIn(user)) {
+      return res.json(genericResponse);
+    }
+
+    const nonce = await user.createMagicLinkNonce(expiresInMinutes);
+    const loginToken = generateMagicLinkToken(
+      user._id,
+      nonce,
+      expiresInMinutes
+    );
+
+    try {
+      await sendMagicLinkEmail(user, loginToken, expiresInMinutes);
+    } catch (error) {
+      console.error("Error sending magic link email:", error);
+
+      // Don't leave a usable link behind if the email never went out. The
+      // response stays generic so a failure doesn't reveal the account.
+      user.magicLinkNonce = null;
+      user.magicLinkExpires = null;
+      await user.save();
+
+      return res.json(genericResponse);
+    }
+
+    await recordAuditEvent(req, {
+      action: "auth.magic_link_request",
+      userId: user._id,
+    });
+
+    res.json(genericResponse);
+  })
+);
+
+// @desc    Sign in with a magic link
+// @route   GET /api/auth/magic-link/verify?token=
+// @access  Public
+router.get(
+  "/magic-link/verify",
+  magicLinkVerifyValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const invalidLink = {
+      success: false,
+      message: "Sign-in link is invalid or has expired. Please request a new one.",
+    };
+
+    let decoded;
+    try {
+      decoded = verifyToken(req.query.token);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== "magic_link" || !decoded.nonce) {
+      return res.status(401).json(invalidLink);
+    }
+
+    // Consuming the nonce makes the link single-use
+    const user = await User.consumeMagicLinkNonce(
+      decoded.userId,
+      decoded.nonce
+    );
+    if (!user || !canSignIn(user)) {
+      return res.status(401).json(invalidLink);
+    }
+
+    // Opening the link proves ownership of the mailbox
+    if (!user.emailVerified) {
+      await user.markEmailVerified();
+      await promoteBootstrapAdmin(user);
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallengeToken(
+            user._id,
+            "magic_link"
+          ),
+        },
+      });
+    }
+
+    await completeLogin(req, res, user, { method: "magic_link" });
+  })
+);
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires challenge token from /login)
+router.post(
+  "/2fa/verify",
+  twoFactorLoginValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== "2fa_challenge") {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please login again.",
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes +twoFactor.challengesInvalidBefore"
+    );
+    if (
+      !user ||
+      !canSignIn(user) ||
+      !user.twoFactor.enabled ||
+      !user.isTwoFactorChallengeValid(decoded.iat)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please login again.",
+      });
+    }
+
+    if (await rejectIfLoginLocked(req, res, user.email)) return;
+
+    const isCodeValid = code
+      ? await user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+
+    if (!isCodeValid) {
+      await handleFailedLogin(req, user.email, user, "invalid_2fa_code");
+
+      // Too many wrong codes void the challenge, so it can't be used to
+      // keep guessing until it expires
+      const challengeRevoked = await user.recordFailedTwoFactorAttempt(
+        parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5
+      );
+      return res.status(401).json({
+        success: false,
+        message: challengeRevoked
+          ? "Too many invalid codes. Please login again."
+          : "Invalid authentication code",
+      });
+    }
+
+    await user.clearFailedTwoFactorAttempts();
+
+    await completeLogin(req, res, user, {
+      method: decoded.method || "password",
+      twoFactor: code ? "totp" : "recovery_code",
+    });
+  })
+);
+
+// @desc    Start 2FA enrollment (returns otpauth URI for authenticator apps)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post(
+  "/2fa/setup",
+  authenticateUser,
+  twoFactorSetupValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactor.pendingSecret"
+    );
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message:
+        "Scan the code with your authenticator app, then confirm with a generated code",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TOTP_ISSUER || "Prepwise",
+        }),
+      },
+    });
+  })
+);
+
+// @desc    Confirm 2FA enrollment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+router.post(
+  "/2fa/confirm",
+  authenticateUser,
+  twoFactorCodeValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes"
+    );
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup before confirming it",
+      });
+    }
+
+    // Promote the pending secret, then check the code against it
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.enabled = true;
+    const isCodeValid = await user.verifyTwoFactorCode(req.body.code);
+
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAuditEvent(req, { action: "auth.2fa_enabled" });
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  })
+);
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post(
+  "/2fa/recovery-codes",
+  authenticateUser,
+  twoFactorCodeValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes"
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const isCodeValid = await user.verifyTwoFactorCode(req.body.code);
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAuditEvent(req, {
+      action: "auth.2fa_recovery_codes_regenerated",
+    });
+
+    res.json({
+      success: true,
+      message: "Recovery codes regenerated. Previous codes no longer work.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  })
+);
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post(
+  "/2fa/disable",
+  authenticateUser,
+  twoFactorDisableValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes"
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid =
+      isPasswordValid && (await user.verifyTwoFactorCode(code));
+    if (!isCodeValid) {
+      await recordAuditEvent(req, {
+        action: "auth.2fa_disabled",
+        outcome: "failure",
+        metadata: { reason: "invalid_credentials" },
+      });
+      return res.status(400).json({
+        success: false,
+        message: "Password or authentication code is incorrect",
+      });
+    }
+
+    await user.disableTwoFactor();
+
+    await recordAuditEvent(req, { action: "auth.2fa_disabled" });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  })
+);
+
+// Callback URL registered with the provider
+const getOidcRedirectUri = (req, provider) =>
+  provider.redirectUri ||
+  `${
+    process.env.OIDC_REDIRECT_BASE_URL || `${req.protocol}://${req.get("host")}`
+  }/api/auth/oidc/${provider.name}/callback`;
+
+// Send the browser back to the frontend after social login, or answer
+// with JSON when the flow was started with ?mode=json (API clients, tests)
+const finishOidcFlow = (res, responseMode, status, body, clientParams) => {
+  if (responseMode === "json") {
+    return res.status(status).json(body);
+  }
+  return res.redirect(buildClientUrl("/auth/oidc/callback", clientParams));
+};
+
+// Find the account for an external profile: by linked identity first, then
+// by verified email (linking the identity), otherwise create a new account
+const resolveOidcUser = async (provider, profile) => {
+  const user = await User.findByIdentity(provider.name, profile.subject);
+  if (user) return { user, linked: false, created: false };
+
+  // Matching on an unverified email would let anyone claim that account
+  if (!profile.email || !profile.emailVerified) {
+    return { user: null, reason: "email_not_verified" };
+  }
+
+  // An unverified account may have been registered by someone else ahead of
+  // the email's owner; linking it would hand them the owner's sign-in
+  const existingUser = await User.findByEmail(profile.email);
+  if (existingUser) {
+    if (!existingUser.emailVerified) {
+      return { user: null, reason: "account_email_not_verified" };
+    }
+    return { user: existingUser, linked: true, created: false };
+  }
+
+  const newUser = await User.create({
+    name: (profile.name || profile.email.split("@")[0]).trim().slice(0, 50),
+    email: profile.email,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [
+      { provider: provider.name, subject: profile.subject, email: profile.email },
+    ],
+  });
+
+  await promoteBootstrapAdmin(newUser);
+
+  return { user: newUser, linked: false, created: true };
+};
+
+// @desc    List configured social login providers
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+router.get(
+  "/oidc/providers",
+  asyncHandler(async (req, res) => {
+    const providers = [...getOidcProviders().values()].map((provider) => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      loginUrl: `/api/auth/oidc/${provider.name}`,
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        providers,
+      },
+    });
+  })
+);
+
+// @desc    Start social login (redirects to the provider)
+// @route   GET /api/auth/oidc/:provider
+// @access  Public
+router.get(
+  "/oidc/:provider",
+  asyncHandler(async (req, res) => {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Login provider not found",
+      });
+    }
+
+    const state = generateRandomToken();
+    const nonce = generateRandomToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const responseMode = req.query.mode === "json" ? "json" : "redirect";
+
+    let authorizationUrl;
+    try {
+      authorizationUrl = await buildAuthorizationUrl(provider, {
+        redirectUri: getOidcRedirectUri(req, provider),
+        state,
+        nonce,
+        codeChallenge,
+      });
+    } catch (error) {
+      console.error(`Error starting ${provider.name} login:`, error.message);
+      return res.status(502).json({
+        success: false,
+        message: "Login provider is unavailable. Please try again later.",
+      });
+    }
+
+    // State, nonce and PKCE verifier ride in a signed, httpOnly cookie
+    // until the provider redirects back
+    setOidcStateCookie(
+      res,
+      generateOidcStateToken({
+        provider: provider.name,
+        state,
+        nonce,
+        codeVerifier,
+        responseMode,
+      })
+    );
+
+    if (responseMode === "json") {
+      return res.json({
+        success: true,
+        data: {
+          authorizationUrl,
+        },
+      });
+    }
+
+    res.redirect(authorizationUrl);
+  })
+);
+
+// @desc    Social login callback (provider redirects here)
+// @route   GET /api/auth/oidc/:provider/callback
+// @access  Public
+router.get(
+  "/oidc/:provider/callback",
+  asyncHandler(async (req, res) => {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid email or password",
+        message: "Login provider not found",
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: "Account is deactivated. Please contact support.",
+    const { code, state, error: providerError } = req.query;
+
+    // The state cookie is single-use
+    let saved;
+    try {
+      saved = verifyToken(req.cookies.oidcState);
+    } catch (error) {
+      saved = null;
+    }
+    clearOidcStateCookie(res);
+
+    const responseMode = saved?.responseMode || "redirect";
+    const fail = (status, message) =>
+      finishOidcFlow(
+        res,
+        responseMode,
+        status,
+        { success: false, message },
+        { error: message }
+      );
+
+    if (
+      !saved ||
+      saved.type !== "oidc_state" ||
+      saved.provider !== provider.name ||
+      !state ||
+      state !== saved.state
+    ) {
+      return fail(
+        400,
+        "Login session is invalid or has expired. Please try again."
+      );
+    }
+
+    if (providerError || !code) {
+      return fail(401, `Sign-in with ${provider.displayName} was cancelled`);
+    }
+
+    let profile;
+    try {
+      profile = await getExternalProfile(provider, {
+        code,
+        codeVerifier: saved.codeVerifier,
+        redirectUri: getOidcRedirectUri(req, provider),
+        nonce: saved.nonce,
       });
+    } catch (error) {
+      console.error(`Error completing ${provider.name} login:`, error.message);
+      return fail(
+        502,
+        `Could not complete sign-in with ${provider.displayName}. Please try again.`
+      );
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid email or password",
+    const { user, linked, created, reason } = await resolveOidcUser(
+      provider,
+      profile
+    );
+    if (!user) {
+      await recordAuditEvent(req, {
+        action: "auth.login",
+        outcome: "failure",
+        userId: null,
+        metadata: {
+          method: "oidc",
+          provider: provider.name,
+          email: profile.email,
+          reason,
+        },
       });
+      if (reason === "account_email_not_verified") {
+        return fail(
+          403,
+          `An account with this email already exists but its email is not verified. Verify it or sign in with your password before using ${provider.displayName}.`
+        );
+      }
+      return fail(
+        403,
+        `${provider.displayName} did not provide a verified email address`
+      );
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    if (!canSignIn(user)) {
+      await recordAuditEvent(req, {
+        action: "auth.login",
+        outcome: "failure",
+        userId: user._id,
+        metadata: {
+          method: "oidc",
+          provider: provider.name,
+          reason: "account_deactivated",
+        },
+      });
+      return fail(401, "Account is deactivated. Please contact support.");
+    }
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    if (created) {
+      await recordAuditEvent(req, {
+        action: "auth.register",
+        userId: user._id,
+        metadata: { provider: provider.name },
+      });
+    } else {
+      await user.linkIdentity(provider.name, profile.subject, profile.email);
+      if (linked) {
+        await recordAuditEvent(req, {
+          action: "auth.identity_linked",
+          userId: user._id,
+          metadata: { provider: provider.name, email: profile.email },
+        });
+      }
+    }
 
-    // Save refresh token to user with automatic cleanup
-    await user.addRefreshToken(refreshToken);
+    // Social login replaces the password, not the second factor
+    if (user.twoFactor.enabled) {
+      const challengeToken = generateTwoFactorChallengeToken(user._id, "oidc");
+      return finishOidcFlow(
+        res,
+        responseMode,
+        200,
+        {
+          success: true,
+          message: "Two-factor authentication required",
+          data: {
+            twoFactorRequired: true,
+            challengeToken,
+          },
+        },
+        { twoFactorRequired: "true", challengeToken }
+      );
+    }
 
-    // Set token cookie
-    setTokenCookie(res, token);
+    const auditMetadata = { method: "oidc", provider: provider.name };
+    if (responseMode === "json") {
+      return completeLogin(req, res, user, auditMetadata);
+    }
 
-    res.json({
-      success: true,
-      message: "Login successful",
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          lastLogin: user.lastLogin,
-        },
-        token,
-        refreshToken,
-      },
-    });
+    // Tokens are delivered as cookies on the redirect back to the frontend
+    const { deletionCancelled } = await startSession(
+      req,
+      res,
+      user,
+      auditMetadata
+    );
+    res.redirect(
+      buildClientUrl("/auth/oidc/callback", {
+        status: created ? "registered" : "success",
+        provider: provider.name,
+        ...(deletionCancelled && { deletionCancelled: "true" }),
+      })
+    );
   })
 );
 
@@ -146,19 +1034,25 @@ router.post(
   "/logout",
   authenticateUser,
   asyncHandler(async (req, res) => {
-    // Get refresh token from request body or headers
+    // Get refresh token from cookie, request body or headers
     const refreshToken =
-      req.body.refreshToken || req.headers["x-refresh-token"];
+      req.cookies.refreshToken ||
+      req.body.refreshToken ||
+      req.headers["x-refresh-token"];
 
     if (refreshToken) {
       // Remove refresh token from user's tokens array
-      await User.findByIdAndUpdate(req.user._id, {
-        $pull: { refreshTokens: { token: refreshToken } },
-      });
+      await req.user.revokeRefreshToken(refreshToken);
+    } else if (req.sessionId) {
+      // Only the access token was sent: end the session it belongs to
+      await req.user.revokeRefreshTokenFamily(req.sessionId);
     }
 
-    // Clear token cookie
+    await recordAuditEvent(req, { action: "auth.logout" });
+
+    // Clear token cookies
     clearTokenCookie(res);
+    clearRefreshTokenCookie(res);
 
     res.json({
       success: true,
@@ -167,13 +1061,26 @@ router.post(
   })
 );
 
-// @desc    Refresh access token
+// Another request with the same refresh token won the rotation. Its
+// response carries the new tokens, so leave the cookies and session alone.
+const rotatedConcurrently = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Refresh token was already rotated by a concurrent request",
+  });
+
+// @desc    Refresh access token (rotates the refresh token)
 // @route   POST /api/auth/refresh
 // @access  Public
 router.post(
   "/refresh",
   asyncHandler(async (req, res) => {
-    const { refreshToken } = req.body;
+    const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+    // Refreshing from the cookie is cookie authentication too
+    if (req.cookies.refreshToken && !isCsrfRequestValid(req)) {
+      return rejectCsrfRequest(res);
+    }
 
     if (!refreshToken) {
       return res.status(401).json({
@@ -182,63 +1089,205 @@ router.post(
       });
     }
 
+    let decoded;
     try {
       // Verify refresh token
-      const decoded = verifyToken(refreshToken);
+      decoded = verifyToken(refreshToken);
+    } catch (error) {
+      clearRefreshTokenCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
 
-      if (decoded.type !== "refresh") {
-        return res.status(401).json({
-          success: false,
-          message: "Invalid refresh token type",
-        });
-      }
+    if (decoded.type !== "refresh") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid refresh token type",
+      });
+    }
 
-      // Find user and check if refresh token exists
-      const user = await User.findById(decoded.userId);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: "User not found",
-        });
-      }
+    // Find user and check if refresh token exists
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      clearRefreshTokenCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: "User not found",
+      });
+    }
 
-      const tokenExists = user.refreshTokens.some(
-        (t) => t.token === refreshToken
-      );
-      if (!tokenExists) {
-        return res.status(401).json({
-          success: false,
-          message: "Refresh token not found or expired",
+    const storedToken = user.findRefreshToken(refreshToken);
+    if (!storedToken && user.findRecentlyRotatedToken(refreshToken)) {
+      // Rotated moments ago by a concurrent refresh (another tab), which
+      // already set the new cookies: not a replay
+      return rotatedConcurrently(res);
+    }
+
+    if (!storedToken) {
+      // A correctly signed token that is no longer current in its family
+      // has already been rotated: someone is replaying it. Kill the session.
+      if (decoded.family && user.hasRefreshTokenFamily(decoded.family)) {
+        console.warn(
+          `Refresh token reuse detected for user ${user._id}, revoking token family ${decoded.family}`
+        );
+        await user.revokeRefreshTokenFamily(decoded.family);
+        await recordAuditEvent(req, {
+          action: "auth.token_reuse_detected",
+          outcome: "failure",
+          userId: user._id,
+          metadata: { family: decoded.family },
         });
       }
 
-      // Generate new tokens
-      const newToken = generateToken(user._id);
-      const newRefreshToken = generateRefreshToken(user._id);
+      clearTokenCookie(res);
+      clearRefreshTokenCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token not found or expired",
+      });
+    }
 
-      // Remove old refresh token and add new one with cleanup
-      user.refreshTokens = user.refreshTokens.filter(
-        (t) => t.token !== refreshToken
-      );
-      await user.addRefreshToken(newRefreshToken);
+    // Generate new tokens and rotate the refresh token within its family
+    const newToken = generateToken(user._id, storedToken.family);
+    const newRefreshToken = generateRefreshToken(user._id, storedToken.family);
+    const rotated = await user.rotateRefreshToken(refreshToken, newRefreshToken);
+    if (!rotated) return rotatedConcurrently(res);
 
-      // Set new token cookie
-      setTokenCookie(res, newToken);
+    await recordAuditEvent(req, {
+      action: "auth.token_refresh",
+      userId: user._id,
+    });
 
-      res.json({
-        success: true,
-        message: "Token refreshed successfully",
-        data: {
-          token: newToken,
-          refreshToken: newRefreshToken,
-        },
-      });
-    } catch (error) {
-      return res.status(401).json({
+    // Set new token cookies
+    setTokenCookie(res, newToken);
+    setRefreshTokenCookie(res, newRefreshToken);
+    ensureCsrfToken(req, res);
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: {
+        token: newToken,
+        refreshToken: newRefreshToken,
+      },
+    });
+  })
+);
+
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post(
+  "/logout-all",
+  authenticateUser,
+  asyncHandler(async (req, res) => {
+    const revokedCount = await req.user.revokeAllSessions();
+
+    await recordAuditEvent(req, {
+      action: "auth.logout_all",
+      metadata: { revokedSessions: revokedCount },
+    });
+
+    clearTokenCookie(res);
+    clearRefreshTokenCookie(res);
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+      data: {
+        revokedSessions: revokedCount,
+      },
+    });
+  })
+);
+
+// @desc    List active login sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get(
+  "/sessions",
+  authenticateUser,
+  asyncHandler(async (req, res) => {
+    const sessions = [...req.user.refreshTokens]
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session.family === req.sessionId,
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        total: sessions.length,
+      },
+    });
+  })
+);
+
+// @desc    Revoke a login session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete(
+  "/sessions/:id",
+  authenticateUser,
+  idValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await req.user.revokeSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid or expired refresh token",
+        message: "Session not found",
       });
     }
+
+    // Revoking the session this request came from is a logout
+    const isCurrent = session.family === req.sessionId;
+
+    await recordAuditEvent(req, {
+      action: "auth.session_revoked",
+      metadata: { sessionId: session._id, device: session.device },
+    });
+    if (isCurrent) {
+      clearTokenCookie(res);
+      clearRefreshTokenCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+      data: {
+        id: session._id,
+        current: isCurrent,
+      },
+    });
+  })
+);
+
+// @desc    Get a CSRF token for cookie-authenticated requests
+// @route   GET /api/auth/csrf-token
+// @access  Public
+router.get(
+  "/csrf-token",
+  asyncHandler(async (req, res) => {
+    const csrfToken = ensureCsrfToken(req, res);
+
+    res.json({
+      success: true,
+      data: {
+        csrfToken,
+        headerName: CSRF_HEADER,
+      },
+    });
   })
 );
 
@@ -256,6 +1305,14 @@ router.get(
           id: req.user._id,
           name: req.user.name,
           email: req.user.email,
+          role: req.user.role,
+          emailVerified: req.user.emailVerified,
+          twoFactorEnabled: req.user.twoFactor.enabled,
+          identities: req.user.identities.map((identity) => ({
+            provider: identity.provider,
+            email: identity.email,
+            linkedAt: identity.linkedAt,
+          })),
           profileImage: req.user.profileImage,
           resumeUrl: req.user.resumeUrl,
           lastLogin: req.user.lastLogin,
@@ -266,6 +1323,82 @@ router.get(
   })
 );
 
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post(
+  "/verify-email",
+  verifyEmailValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    const user = await User.findByEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification token is invalid or has expired",
+      });
+    }
+
+    await user.markEmailVerified();
+    await promoteBootstrapAdmin(user);
+
+    await recordAuditEvent(req, {
+      action: "auth.email_verified",
+      userId: user._id,
+      metadata: { email: user.email },
+    });
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          emailVerified: user.emailVerified,
+          emailVerifiedAt: user.emailVerifiedAt,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post(
+  "/resend-verification",
+  authenticateUser,
+  emailSendLimiter,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email address is already verified",
+      });
+    }
+
+    try {
+      await issueEmailVerification(user);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send verification email. Please try again.",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  })
+);
+
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
@@ -307,6 +1440,11 @@ router.put(
     // Verify current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
     if (!isCurrentPasswordValid) {
+      await recordAuditEvent(req, {
+        action: "auth.password_change",
+        outcome: "failure",
+        metadata: { reason: "invalid_current_password" },
+      });
       return res.status(400).json({
         success: false,
         message: "Current password is incorrect",
@@ -330,6 +1468,8 @@ router.put(
     user.refreshTokens = [];
     await user.save();
 
+    await recordAuditEvent(req, { action: "auth.password_change" });
+
     res.json({
       success: true,
       message:
@@ -338,15 +1478,99 @@ router.put(
   })
 );
 
-// @desc    Forgot password (placeholder for future implementation)
+// @desc    Request a password reset email
 // @route   POST /api/auth/forgot-password
 // @access  Public
 router.post(
   "/forgot-password",
+  emailSendLimiter,
+  forgotPasswordValidation,
+  validate,
   asyncHandler(async (req, res) => {
-    res.status(501).json({
-      success: false,
-      message: "Forgot password functionality not implemented yet",
+    const { email } = req.body;
+    const expiresInMinutes =
+      parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+    // Always respond the same way so the endpoint can't be used to
+    // discover which emails are registered
+    const genericResponse = {
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    };
+
+    const user = await User.findByEmail(email);
+    if (!user || !canSignIn(user)) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = await user.createPasswordResetToken(expiresInMinutes);
+
+    try {
+      await sendPasswordResetEmail(user, resetToken, expiresInMinutes);
+    } catch (error) {
+      console.error("Error sending password reset email:", error);
+
+      // Don't leave a usable token behind if the email never went out.
+      // The response stays generic: an error here would only ever show up
+      // for registered emails.
+      user.passwordResetToken = null;
+      user.passwordResetExpires = null;
+      await user.save();
+
+      return res.json(genericResponse);
+    }
+
+    await recordAuditEvent(req, {
+      action: "auth.password_reset_request",
+      userId: user._id,
+    });
+
+    res.json(genericResponse);
+  })
+);
+
+// @desc    Reset password using a token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post(
+  "/reset-password",
+  resetPasswordValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user || !canSignIn(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Password reset token is invalid or has expired",
+      });
+    }
+
+    // Hashed by the pre("save") hook; token is consumed so it can't be reused
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+
+    // Revoke all sessions (force re-login on all devices for security)
+    user.refreshTokens = [];
+    await user.save();
+
+    // Proving ownership of the mailbox lifts any account lockout
+    await recordSuccessfulLogin({ email: user.email });
+
+    await recordAuditEvent(req, {
+      action: "auth.password_reset",
+      userId: user._id,
+    });
+
+    clearTokenCookie(res);
+    clearRefreshTokenCookie(res);
+
+    res.json({
+      success: true,
+      message: "Password has been reset successfully. Please login again.",
     });
   })
 );
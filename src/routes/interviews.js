@@ -2,9 +2,25 @@ import express from "express";
 import asyncHandler from "express-async-handler";
 
 import Interview from "../models/Interview.js";
-import { authenticateUser } from "../middleware/auth.js";
+import InterviewTemplate from "../models/InterviewTemplate.js";
+import {
+  authenticateUser,
+  authenticateVerifiedUser,
+} from "../middleware/auth.js";
 import { body, query, param, validationResult } from "express-validator";
-import { generateInterviewQuestions } from "../config/gemini.js";
+import {
+  extractJobRequirements,
+  generateInterviewQuestions,
+  regenerateQuestion,
+} from "../config/gemini.js";
+import { getPurgeDate, trashInterview } from "../services/trash.js";
+import { getExperienceLevelForYears } from "../services/resume.js";
+import {
+  expireInterviewIfOverdue,
+  getPausePolicy,
+} from "../services/interviewTimer.js";
+import { abandonInterview } from "../services/interviewAbandonment.js";
+import { createRetake, getSeriesAttempts } from "../services/retakes.js";
 
 const router = express.Router();
 
@@ -21,14 +37,47 @@ const validate = (req, res, next) => {
   next();
 };
 
-// @desc    Generate new interview
+const QUESTION_CATEGORIES = ["Technical", "Behavioral", "Problem Solving"];
+
+// Bounds on the number of questions in an interview
+const MIN_QUESTIONS = 3;
+const MAX_QUESTIONS = 20;
+
+// Questions can only be changed until the interview starts
+const QUESTIONS_LOCKED_RESPONSE = {
+  success: false,
+  message: "Questions can only be changed before the interview starts",
+};
+
+// Tech stack and experience level may be left out when a template, a job
+// description or the user's resume is used; they're derived from those
+const requiredUnlessDerived = (value, { req }) =>
+  value !== undefined ||
+  (!req.body.templateId && !req.body.jobDescription && !req.body.useResume);
+
+// Difficulty and question count may only come from a template
+const requiredUnlessTemplate = (value, { req }) =>
+  value !== undefined || !req.body.templateId;
+
+// @desc    Generate new interview (optionally from a template, a job
+//          description and/or the user's resume)
 // @route   POST /api/interviews/generate
-// @access  Private
+// @access  Private (verified email)
 router.post(
   "/generate",
-  authenticateUser,
+  authenticateVerifiedUser,
   [
+    body("templateId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid template ID"),
+    body("useResume")
+      .optional()
+      .isBoolean()
+      .withMessage("useResume must be a boolean")
+      .toBoolean(),
     body("techStack")
+      .if(requiredUnlessDerived)
       .isArray({ min: 1, max: 10 })
       .withMessage("Tech stack must be an array with 1-10 technologies"),
     body("techStack.*")
@@ -36,50 +85,232 @@ router.post(
       .isLength({ min: 1, max: 50 })
       .withMessage("Each technology must be between 1 and 50 characters"),
     body("hardnessLevel")
+      .if(requiredUnlessTemplate)
       .isIn(["Easy", "Medium", "Hard"])
       .withMessage("Hardness level must be one of: Easy, Medium, Hard"),
     body("experienceLevel")
+      .if(requiredUnlessDerived)
       .isIn(["Fresher", "Junior", "Mid", "Senior", "Lead"])
       .withMessage(
         "Experience level must be one of: Fresher, Junior, Mid, Senior, Lead"
       ),
     body("numberOfQuestions")
+      .if(requiredUnlessTemplate)
       .isInt({ min: 3, max: 20 })
       .withMessage("Number of questions must be between 3 and 20"),
+    body("jobDescription")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 50, max: 15000 })
+      .withMessage("Job description must be between 50 and 15000 characters"),
+    body("companyName")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Company name must be between 1 and 100 characters"),
+    body("roleTitle")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Role title must be between 1 and 100 characters"),
+    body("adaptive")
+      .optional()
+      .isBoolean()
+      .withMessage("adaptive must be a boolean")
+      .toBoolean(),
+    body("maxQuestions")
+      .optional()
+      .isInt({ min: 3, max: 20 })
+      .withMessage("Max questions must be between 3 and 20")
+      .custom(
+        (value, { req }) =>
+          req.body.numberOfQuestions === undefined ||
+          parseInt(value) >= parseInt(req.body.numberOfQuestions)
+      )
+      .withMessage("Max questions cannot be less than the number of questions"),
+    body("perQuestionTimeLimit")
+      .optional()
+      .isInt({ min: 30, max: 1800 })
+      .withMessage(
+        "Per-question time limit must be between 30 and 1800 seconds"
+      ),
+    body("totalTimeLimit")
+      .optional()
+      .isInt({ min: 1, max: 240 })
+      .withMessage("Total time limit must be between 1 and 240 minutes"),
+    body("lateAnswerPolicy")
+      .optional()
+      .isIn(["reject", "flag"])
+      .withMessage("Late answer policy must be one of: reject, flag"),
   ],
   validate,
   asyncHandler(async (req, res) => {
-    const { techStack, hardnessLevel, experienceLevel, numberOfQuestions } =
-      req.body;
+    const {
+      templateId,
+      techStack,
+      jobDescription,
+      companyName,
+      roleTitle,
+      useResume,
+      adaptive = false,
+      maxQuestions,
+      perQuestionTimeLimit,
+      totalTimeLimit,
+      lateAnswerPolicy = "flag",
+    } = req.body;
     const userId = req.user._id;
 
+    // Template mode: the template fills in whatever isn't given explicitly
+    const template = templateId
+      ? await InterviewTemplate.findOne({
+          _id: templateId,
+          ...InterviewTemplate.accessibleBy(req.user),
+        })
+      : null;
+    if (templateId && !template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const hardnessLevel = req.body.hardnessLevel || template?.hardnessLevel;
+    const numberOfQuestions =
+      parseInt(req.body.numberOfQuestions) || template?.numberOfQuestions;
+
+    // Resume mode: ask about the candidate's own projects and claimed skills
+    const resumeProfile = useResume ? req.user.resume?.profile : null;
+    if (useResume && !resumeProfile) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload a resume first to generate questions about it",
+      });
+    }
+
     try {
+      // Job description mode: pull the skills and seniority out of the
+      // posting
+      const requirements = jobDescription
+        ? await extractJobRequirements({ jobDescription, companyName, roleTitle })
+        : null;
+
+      // Explicit values win, then the template, then the job posting, then
+      // the resume
+      const derivedTechStack =
+        [requirements?.techStack, resumeProfile?.skills.slice(0, 10)].find(
+          (list) => list?.length
+        ) || [];
+      const interviewTechStack = (
+        techStack ||
+        template?.techStack ||
+        derivedTechStack
+      ).map((tech) => tech.trim());
+      const experienceLevel =
+        req.body.experienceLevel ||
+        template?.experienceLevel ||
+        requirements?.seniority ||
+        (resumeProfile &&
+          getExperienceLevelForYears(resumeProfile.yearsOfExperience)) ||
+        "Mid";
+
+      if (interviewTechStack.length === 0) {
+        return res.status(422).json({
+          success: false,
+          message:
+            "Could not identify the technologies to cover. Please provide techStack as well.",
+        });
+      }
+
+      const jobPosting = requirements && {
+        companyName,
+        roleTitle: roleTitle || requirements.roleTitle || undefined,
+        jobDescription,
+        seniority: requirements.seniority,
+        requiredSkills: requirements.requiredSkills,
+        niceToHaveSkills: requirements.niceToHaveSkills,
+        responsibilities: requirements.responsibilities,
+        extractedBy: requirements.isFallback ? "Fallback" : "AI",
+      };
+
+      // Template questions are pinned first; the rest are generated,
+      // following the template's category mix when it still adds up
+      const pinnedQuestions = (template?.pinnedQuestions || [])
+        .slice(0, numberOfQuestions)
+        .map((question) => ({
+          questionText: question.questionText,
+          category: question.category,
+          expectedAnswer: question.expectedAnswer,
+          isCustom: true,
+        }));
+      const generatedCount = numberOfQuestions - pinnedQuestions.length;
+      const questionMix =
+        template?.hasQuestionMix && template.questionMixTotal === generatedCount
+          ? template.questionMix
+          : null;
+
       // Generate questions using AI
-      const questions = await generateInterviewQuestions({
-        techStack,
-        hardnessLevel,
-        experienceLevel,
-        numberOfQuestions: parseInt(numberOfQuestions),
-      });
+      const generatedQuestions =
+        generatedCount > 0
+          ? await generateInterviewQuestions({
+              techStack: interviewTechStack,
+              hardnessLevel,
+              experienceLevel,
+              numberOfQuestions: generatedCount,
+              jobPosting,
+              resumeProfile,
+              avoidQuestions: pinnedQuestions.map((q) => q.questionText),
+              questionMix,
+              guidance: template?.guidance,
+            })
+          : [];
+      const questions = [...pinnedQuestions, ...generatedQuestions].map(
+        (question, index) => ({ ...question, questionNumber: index + 1 })
+      );
 
       // Create interview record
       const interview = await Interview.create({
         userId,
-        techStack: techStack.map((tech) => tech.trim()),
+        techStack: interviewTechStack,
         hardnessLevel,
         experienceLevel,
-        numberOfQuestions: parseInt(numberOfQuestions),
+        numberOfQuestions,
         questions,
+        jobPosting: jobPosting || undefined,
+        templateId: template?._id || null,
+        // Adaptive interviews may grow by half again unless capped explicitly
+        adaptive: {
+          enabled: adaptive,
+          maxQuestions: adaptive
+            ? Math.max(
+                parseInt(maxQuestions) ||
+                  Math.min(Math.ceil(numberOfQuestions * 1.5), 20),
+                numberOfQuestions
+              )
+            : null,
+        },
+        timeLimits: {
+          perQuestionSeconds: parseInt(perQuestionTimeLimit) || null,
+          totalSeconds: parseInt(totalTimeLimit) * 60 || null,
+          lateAnswerPolicy,
+        },
         status: "generated",
         metadata: {
-          generatedBy: "AI",
+          generatedBy: questions.some((q) => q.isFallback) ? "Fallback" : "AI",
           aiModel: "gemini-2.0-flash-001",
-          generationPrompt: `${techStack.join(
+          usedResume: Boolean(resumeProfile),
+          generationPrompt: `${interviewTechStack.join(
             ", "
-          )} - ${experienceLevel} - ${hardnessLevel}`,
+          )} - ${experienceLevel} - ${hardnessLevel}${
+            jobPosting?.roleTitle ? ` - ${jobPosting.roleTitle}` : ""
+          }`,
         },
       });
 
+      if (template) {
+        await template.recordUse();
+      }
+
       await interview.populate("userId", "name email");
 
       res.status(201).json({
@@ -108,7 +339,7 @@ router.get(
   [
     query("status")
       .optional()
-      .isIn(["generated", "in_progress", "completed", "abandoned"])
+      .isIn(["generated", "in_progress", "paused", "completed", "abandoned"])
       .withMessage("Invalid status"),
     query("page")
       .optional()
@@ -176,6 +407,8 @@ router.get(
       });
     }
 
+    await expireInterviewIfOverdue(interview);
+
     res.json({
       success: true,
       data: {
@@ -185,6 +418,101 @@ router.get(
   })
 );
 
+// @desc    Get all attempts at an interview with score progression
+// @route   GET /api/interviews/:id/attempts
+// @access  Private
+router.get(
+  "/:id/attempts",
+  authenticateUser,
+  [param("id").isMongoId().withMessage("Invalid interview ID")],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    const { seriesId, attempts, summary } = await getSeriesAttempts(interview);
+
+    res.json({
+      success: true,
+      data: {
+        seriesId,
+        attempts,
+        summary,
+      },
+    });
+  })
+);
+
+// @desc    Retake interview (same or freshly generated questions)
+// @route   POST /api/interviews/:id/retake
+// @access  Private (verified email)
+router.post(
+  "/:id/retake",
+  authenticateVerifiedUser,
+  [
+    param("id").isMongoId().withMessage("Invalid interview ID"),
+    body("regenerateQuestions")
+      .optional()
+      .isBoolean()
+      .withMessage("regenerateQuestions must be a boolean")
+      .toBoolean(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { regenerateQuestions = false } = req.body;
+    const userId = req.user._id;
+
+    const source = await Interview.findOne({ _id: id, userId });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (!["completed", "abandoned"].includes(source.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Finish or abandon this interview before retaking it",
+      });
+    }
+
+    try {
+      const interview = await createRetake(source, {
+        regenerateQuestions,
+        resumeProfile: req.user.resume?.profile,
+      });
+
+      await interview.populate("userId", "name email");
+
+      res.status(201).json({
+        success: true,
+        message: `Attempt ${interview.attemptNumber} created successfully`,
+        data: {
+          interview,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating interview retake:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create retake. Please try again.",
+      });
+    }
+  })
+);
+
 // @desc    Start interview
 // @route   POST /api/interviews/:id/start
 // @access  Private
@@ -246,13 +574,30 @@ router.post(
       });
     }
 
-    if (interview.status !== "in_progress") {
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.json({
+        success: true,
+        message:
+          interview.status === "completed"
+            ? "Interview completed (time limit reached)"
+            : "Interview abandoned (time limit reached with no answers)",
+        data: {
+          interview,
+        },
+      });
+    }
+
+    if (!["in_progress", "paused"].includes(interview.status)) {
       return res.status(400).json({
         success: false,
         message: "Interview is not in progress",
       });
     }
 
+    // Close out the pause first so it doesn't count toward the duration
+    if (interview.status === "paused") {
+      await interview.resumeInterview();
+    }
     await interview.completeInterview();
 
     res.json({
@@ -265,7 +610,569 @@ router.post(
   })
 );
 
-// @desc    Delete interview
+// @desc    Abandon interview (optionally with a partial result)
+// @route   POST /api/interviews/:id/abandon
+// @access  Private
+router.post(
+  "/:id/abandon",
+  authenticateUser,
+  [
+    param("id").isMongoId().withMessage("Invalid interview ID"),
+    body("generateResult")
+      .optional()
+      .isBoolean()
+      .withMessage("generateResult must be a boolean")
+      .toBoolean(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { generateResult } = req.body;
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json({
+        success: false,
+        message: "Time is up for this interview",
+        data: {
+          status: interview.status,
+          deadlineAt: interview.deadlineAt,
+        },
+      });
+    }
+
+    if (!["in_progress", "paused"].includes(interview.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Interview is not in progress",
+      });
+    }
+
+    const { result } = await abandonInterview(interview, {
+      reason: "user",
+      ...(generateResult !== undefined && { generateResult }),
+    });
+
+    res.json({
+      success: true,
+      message: "Interview abandoned",
+      data: {
+        interview,
+        result,
+      },
+    });
+  })
+);
+
+// @desc    Pause interview (stops its clock, within the pause policy)
+// @route   POST /api/interviews/:id/pause
+// @access  Private
+router.post(
+  "/:id/pause",
+  authenticateUser,
+  [param("id").isMongoId().withMessage("Invalid interview ID")],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json({
+        success: false,
+        message: "Time is up for this interview",
+        data: {
+          status: interview.status,
+          deadlineAt: interview.deadlineAt,
+        },
+      });
+    }
+
+    if (interview.status === "paused") {
+      return res.status(400).json({
+        success: false,
+        message: "Interview is already paused",
+      });
+    }
+
+    if (interview.status !== "in_progress") {
+      return res.status(400).json({
+        success: false,
+        message: "Interview is not in progress",
+      });
+    }
+
+    const { maxPauses, maxPauseSeconds } = getPausePolicy();
+
+    if (interview.pauseCount >= maxPauses) {
+      return res.status(400).json({
+        success: false,
+        message: `Interviews can be paused at most ${maxPauses} times`,
+      });
+    }
+
+    if (interview.pausedSeconds >= maxPauseSeconds) {
+      return res.status(400).json({
+        success: false,
+        message: "No pause time left for this interview",
+      });
+    }
+
+    await interview.pauseInterview(maxPauseSeconds);
+
+    res.json({
+      success: true,
+      message: "Interview paused successfully",
+      data: {
+        interview,
+        pauseExpiresAt: interview.pauseExpiresAt,
+        pausesRemaining: maxPauses - interview.pauseCount,
+      },
+    });
+  })
+);
+
+// @desc    Resume paused interview
+// @route   POST /api/interviews/:id/resume
+// @access  Private
+router.post(
+  "/:id/resume",
+  authenticateUser,
+  [param("id").isMongoId().withMessage("Invalid interview ID")],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (interview.status !== "paused") {
+      return res.status(400).json({
+        success: false,
+        message: "Interview is not paused",
+      });
+    }
+
+    await interview.resumeInterview(new Date(), { byUser: true });
+
+    const { maxPauses, maxPauseSeconds } = getPausePolicy();
+
+    res.json({
+      success: true,
+      message: "Interview resumed successfully",
+      data: {
+        interview,
+        pausesRemaining: Math.max(0, maxPauses - interview.pauseCount),
+        pauseSecondsRemaining: Math.max(
+          0,
+          maxPauseSeconds - interview.pausedSeconds
+        ),
+      },
+    });
+  })
+);
+
+// @desc    Replace a question with a newly generated one (before start)
+// @route   POST /api/interviews/:id/questions/:questionNumber/regenerate
+// @access  Private (verified email)
+router.post(
+  "/:id/questions/:questionNumber/regenerate",
+  authenticateVerifiedUser,
+  [
+    param("id").isMongoId().withMessage("Invalid interview ID"),
+    param("questionNumber")
+      .isInt({ min: 1 })
+      .withMessage("Question number must be a positive integer"),
+    body("guidance")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Guidance must be between 1 and 500 characters"),
+    body("category")
+      .optional()
+      .isIn(QUESTION_CATEGORIES)
+      .withMessage(
+        "Category must be one of: Technical, Behavioral, Problem Solving"
+      ),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const questionNumber = parseInt(req.params.questionNumber);
+    const { guidance, category } = req.body;
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (interview.status !== "generated") {
+      return res.status(400).json(QUESTIONS_LOCKED_RESPONSE);
+    }
+
+    const question = interview.questions.find(
+      (q) => q.questionNumber === questionNumber
+    );
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    const replacement = await regenerateQuestion({
+      question,
+      otherQuestions: interview.questions.filter(
+        (q) => q.questionNumber !== questionNumber
+      ),
+      techStack: interview.techStack,
+      experienceLevel: interview.experienceLevel,
+      hardnessLevel: interview.hardnessLevel,
+      jobPosting: interview.jobPosting,
+      category,
+      guidance,
+    });
+
+    if (!replacement) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to generate a new question. Please try again.",
+      });
+    }
+
+    question.set({ ...replacement, isCustom: false });
+    await interview.save();
+
+    res.json({
+      success: true,
+      message: "Question regenerated successfully",
+      data: {
+        question,
+        interview,
+      },
+    });
+  })
+);
+
+// @desc    Reorder questions (before start)
+// @route   PUT /api/interviews/:id/questions/order
+// @access  Private
+router.put(
+  "/:id/questions/order",
+  authenticateUser,
+  [
+    param("id").isMongoId().withMessage("Invalid interview ID"),
+    body("order")
+      .isArray({ min: 1, max: 20 })
+      .withMessage("Order must be an array of question numbers"),
+    body("order.*")
+      .isInt({ min: 1 })
+      .withMessage("Each question number must be a positive integer")
+      .toInt(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { order } = req.body;
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (interview.status !== "generated") {
+      return res.status(400).json(QUESTIONS_LOCKED_RESPONSE);
+    }
+
+    // Every question exactly once
+    const sorted = [...order].sort((a, b) => a - b);
+    if (
+      sorted.length !== interview.questions.length ||
+      sorted.some((questionNumber, index) => questionNumber !== index + 1)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Order must list each question number from 1 to ${interview.questions.length} once`,
+      });
+    }
+
+    await interview.reorderQuestions(order);
+
+    res.json({
+      success: true,
+      message: "Questions reordered successfully",
+      data: {
+        interview,
+      },
+    });
+  })
+);
+
+// @desc    Add a custom question (before start)
+// @route   POST /api/interviews/:id/questions
+// @access  Private
+router.post(
+  "/:id/questions",
+  authenticateUser,
+  [
+    param("id").isMongoId().withMessage("Invalid interview ID"),
+    body("questionText")
+      .isString()
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage("Question text must be between 10 and 1000 characters"),
+    body("category")
+      .optional()
+      .isIn(QUESTION_CATEGORIES)
+      .withMessage(
+        "Category must be one of: Technical, Behavioral, Problem Solving"
+      ),
+    body("expectedAnswer")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage("Expected answer cannot exceed 2000 characters"),
+    body("position")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Position must be a positive integer")
+      .toInt(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const {
+      questionText,
+      category = "Technical",
+      expectedAnswer,
+      position,
+    } = req.body;
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (interview.status !== "generated") {
+      return res.status(400).json(QUESTIONS_LOCKED_RESPONSE);
+    }
+
+    if (interview.questions.length >= MAX_QUESTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `Interviews can have at most ${MAX_QUESTIONS} questions`,
+      });
+    }
+
+    if (position && position > interview.questions.length + 1) {
+      return res.status(400).json({
+        success: false,
+        message: `Position must be between 1 and ${
+          interview.questions.length + 1
+        }`,
+      });
+    }
+
+    const question = await interview.addQuestion(
+      { questionText, category, expectedAnswer, isCustom: true },
+      position
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Question added successfully",
+      data: {
+        question,
+        interview,
+      },
+    });
+  })
+);
+
+// @desc    Delete a question (before start)
+// @route   DELETE /api/interviews/:id/questions/:questionNumber
+// @access  Private
+router.delete(
+  "/:id/questions/:questionNumber",
+  authenticateUser,
+  [
+    param("id").isMongoId().withMessage("Invalid interview ID"),
+    param("questionNumber")
+      .isInt({ min: 1 })
+      .withMessage("Question number must be a positive integer"),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const questionNumber = parseInt(req.params.questionNumber);
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (interview.status !== "generated") {
+      return res.status(400).json(QUESTIONS_LOCKED_RESPONSE);
+    }
+
+    const question = interview.questions.find(
+      (q) => q.questionNumber === questionNumber
+    );
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    if (interview.questions.length <= MIN_QUESTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `Interviews need at least ${MIN_QUESTIONS} questions`,
+      });
+    }
+
+    await interview.removeQuestion(questionNumber);
+
+    res.json({
+      success: true,
+      message: "Question deleted successfully",
+      data: {
+        interview,
+      },
+    });
+  })
+);
+
+// @desc    Serve a question (starts its timer on first serve)
+// @route   POST /api/interviews/:id/questions/:questionNumber/serve
+// @access  Private
+router.post(
+  "/:id/questions/:questionNumber/serve",
+  authenticateUser,
+  [
+    param("id").isMongoId().withMessage("Invalid interview ID"),
+    param("questionNumber")
+      .isInt({ min: 1 })
+      .withMessage("Question number must be a positive integer"),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const questionNumber = parseInt(req.params.questionNumber);
+    const userId = req.user._id;
+
+    const interview = await Interview.findOne({ _id: id, userId });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      });
+    }
+
+    if (await expireInterviewIfOverdue(interview)) {
+      return res.status(400).json({
+        success: false,
+        message: "Time is up for this interview",
+        data: {
+          status: interview.status,
+          deadlineAt: interview.deadlineAt,
+        },
+      });
+    }
+
+    if (interview.status === "paused") {
+      return res.status(400).json({
+        success: false,
+        message: "Interview is paused. Resume it to continue answering.",
+      });
+    }
+
+    if (interview.status !== "in_progress") {
+      return res.status(400).json({
+        success: false,
+        message: "Interview is not in progress",
+      });
+    }
+
+    const question = await interview.serveQuestion(questionNumber);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    const deadline = interview.getQuestionDeadline(question);
+
+    res.json({
+      success: true,
+      data: {
+        question: {
+          questionNumber: question.questionNumber,
+          questionText: question.questionText,
+          category: question.category,
+          origin: question.origin,
+        },
+        servedAt: question.servedAt,
+        deadline,
+        timeRemainingSeconds: deadline
+          ? Math.max(0, Math.floor((deadline - Date.now()) / 1000))
+          : null,
+        interviewDeadlineAt: interview.deadlineAt,
+      },
+    });
+  })
+);
+
+// @desc    Move interview (with its answers and result) to the trash
 // @route   DELETE /api/interviews/:id
 // @access  Private
 router.delete(
@@ -277,7 +1184,7 @@ router.delete(
     const { id } = req.params;
     const userId = req.user._id;
 
-    const interview = await Interview.findOneAndDelete({ _id: id, userId });
+    const interview = await Interview.findOne({ _id: id, userId });
 
     if (!interview) {
       return res.status(404).json({
@@ -286,18 +1193,14 @@ router.delete(
       });
     }
 
-    // Also delete related answers and results
-    const Answer = (await import("../models/Answer.js")).default;
-    const FinalResult = (await import("../models/FinalResult.js")).default;
-
-    await Promise.all([
-      Answer.deleteMany({ interviewId: id }),
-      FinalResult.deleteOne({ interviewId: id, userId }),
-    ]);
+    await trashInterview(interview);
 
     res.json({
       success: true,
-      message: "Interview deleted successfully",
+      message: "Interview moved to trash",
+      data: {
+        purgeAt: getPurgeDate(interview.deletedAt),
+      },
     });
   })
 );
@@ -323,6 +1226,9 @@ router.get(
           inProgress: {
             $sum: { $cond: [{ $eq: ["$status", "in_progress"] }, 1, 0] },
           },
+          paused: {
+            $sum: { $cond: [{ $eq: ["$status", "paused"] }, 1, 0] },
+          },
           completed: {
             $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
           },
@@ -344,6 +1250,7 @@ router.get(
       total: 0,
       generated: 0,
       inProgress: 0,
+      paused: 0,
       completed: 0,
       abandoned: 0,
       byHardness: [],
@@ -370,6 +1277,7 @@ router.get(
         statusDistribution: {
           generated: result.generated,
           inProgress: result.inProgress,
+          paused: result.paused,
           completed: result.completed,
           abandoned: result.abandoned,
         },
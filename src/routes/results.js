@@ -6,8 +6,9 @@ import Interview from "../models/Interview.js";
 import Answer from "../models/Answer.js";
 import { authenticateUser } from "../middleware/auth.js";
 import { param, query, validationResult } from "express-validator";
-import { generateFinalResult } from "../config/gemini.js";
 import { aggregateFacialAnalysis } from "../services/facialAnalysis.js";
+import { getPurgeDate } from "../services/trash.js";
+import { createFinalResult } from "../services/finalResult.js";
 
 const router = express.Router();
 
@@ -24,7 +25,8 @@ const validate = (req, res, next) => {
   next();
 };
 
-// @desc    Generate final result for completed interview
+// @desc    Generate final result for completed interview (partial result
+//          for an abandoned one)
 // @route   POST /api/results/generate/:interviewId
 // @access  Private
 router.post(
@@ -45,8 +47,8 @@ router.post(
       });
     }
 
-    // Check if interview is completed
-    if (interview.status !== "completed") {
+    // Check if interview is completed (or abandoned, for a partial result)
+    if (!["completed", "abandoned"].includes(interview.status)) {
       return res.status(400).json({
         success: false,
         message: "Interview must be completed before generating results",
@@ -92,74 +94,20 @@ router.post(
         });
       }
 
-      // Aggregate facial analysis results
-      const facialAnalysisResults = answers
-        .map((answer) => answer.facialAnalysis)
-        .filter((analysis) => analysis && analysis.overallScore > 0);
-
-      const aggregatedFacialAnalysis = aggregateFacialAnalysis(
-        facialAnalysisResults
-      );
-
-      // Generate final result using AI
-      const startTime = Date.now();
-      const aiResult = await generateFinalResult({
-        answers,
-        interview,
-        facialAnalysisResults: aggregatedFacialAnalysis,
-      });
-      const processingTime = Date.now() - startTime;
-
-      // Calculate completion metrics
-      const completionTime = interview.duration || 0;
-      const questionsAnswered = answers.length;
-      const totalQuestions = interview.numberOfQuestions;
-
-      // Ensure overallScore is a number and calculate grade and passed status manually
-      const overallScore = Number(aiResult.overallScore);
-      let grade = "F";
-      if (overallScore >= 95) grade = "A+";
-      else if (overallScore >= 90) grade = "A";
-      else if (overallScore >= 85) grade = "B+";
-      else if (overallScore >= 80) grade = "B";
-      else if (overallScore >= 75) grade = "C+";
-      else if (overallScore >= 70) grade = "C";
-      else if (overallScore >= 60) grade = "D";
-
-      const passed = overallScore >= 70;
-      const completionPercentage = Math.round((questionsAnswered / totalQuestions) * 100);
-
-      // Debug logging
-      console.log(`Final Result Debug: overallScore=${overallScore}, passed=${passed}, grade=${grade}`);
-
-      // Use findOneAndUpdate with upsert to handle race conditions
-      const finalResult = await FinalResult.findOneAndUpdate(
-        { interviewId, userId },
-        {
-          overallScore,
-          categoryScores: aiResult.categoryScores,
-          strengths: aiResult.strengths,
-          weaknesses: aiResult.weaknesses,
-          recommendations: aiResult.recommendations,
-          detailedFeedback: aiResult.detailedFeedback,
-          grade,
-          passed,
-          completionTime,
-          questionsAnswered,
-          totalQuestions,
-          completionPercentage,
-          metadata: {
-            aiModel: "gemini-2.0-flash-001",
-            facialAnalysisModel: "django-facial-analysis",
-            processingTime,
+      const { finalResult, trashedResult, aggregatedFacialAnalysis } =
+        await createFinalResult(interview, answers);
+
+      // Only one result per interview, trashed ones included
+      if (trashedResult) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "The result for this interview is in the trash. Restore it from /api/trash instead.",
+          data: {
+            resultId: trashedResult._id,
           },
-        },
-        {
-          new: true,
-          upsert: true,
-          runValidators: true,
-        }
-      );
+        });
+      }
 
       await finalResult.populate([
         {
@@ -360,7 +308,7 @@ router.get(
   })
 );
 
-// @desc    Delete result
+// @desc    Move result to the trash
 // @route   DELETE /api/results/:id
 // @access  Private
 router.delete(
@@ -372,7 +320,7 @@ router.delete(
     const { id } = req.params;
     const userId = req.user._id;
 
-    const result = await FinalResult.findOneAndDelete({ _id: id, userId });
+    const result = await FinalResult.findOne({ _id: id, userId });
 
     if (!result) {
       return res.status(404).json({
@@ -381,9 +329,14 @@ router.delete(
       });
     }
 
+    await result.moveToTrash();
+
     res.json({
       success: true,
-      message: "Result deleted successfully",
+      message: "Result moved to trash",
+      data: {
+        purgeAt: getPurgeDate(result.deletedAt),
+      },
     });
   })
 );
@@ -0,0 +1,270 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+
+import InterviewTemplate from "../models/InterviewTemplate.js";
+import { authenticateUser } from "../middleware/auth.js";
+import {
+  createTemplateValidation,
+  idValidation,
+  paginationValidation,
+  templateQueryValidation,
+  updateTemplateValidation,
+  validate,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Fields a template can be created or updated with
+const TEMPLATE_FIELDS = [
+  "name",
+  "description",
+  "techStack",
+  "hardnessLevel",
+  "experienceLevel",
+  "numberOfQuestions",
+  "questionMix",
+  "pinnedQuestions",
+  "guidance",
+  "visibility",
+];
+
+const pickTemplateFields = (body) =>
+  Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// Shape a template for responses
+const formatTemplate = (template, user) => ({
+  ...template.toJSON(),
+  isOwner: template.isOwnedBy(user),
+});
+
+// Shared templates are tied to the owner's organization
+const applyVisibility = (template, user) => {
+  template.organization =
+    template.visibility === "organization" ? user.organization : null;
+};
+
+const NO_ORGANIZATION_RESPONSE = {
+  success: false,
+  message: "You need to belong to an organization to share templates",
+};
+
+// @desc    List templates (own and shared within the organization)
+// @route   GET /api/templates
+// @access  Private
+router.get(
+  "/",
+  authenticateUser,
+  [...paginationValidation, ...templateQueryValidation],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, scope = "all" } = req.query;
+    const user = req.user;
+    const skip = (page - 1) * limit;
+
+    // Without an organization there is nothing shared to list
+    if (scope === "organization" && !user.organization) {
+      return res.json({
+        success: true,
+        data: {
+          templates: [],
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: 0,
+            pages: 0,
+            hasNext: false,
+            hasPrev: page > 1,
+          },
+        },
+      });
+    }
+
+    let filter = InterviewTemplate.accessibleBy(user);
+    if (scope === "mine") {
+      filter = { userId: user._id };
+    } else if (scope === "organization") {
+      filter = {
+        visibility: "organization",
+        organization: user.organization,
+      };
+    }
+
+    const [templates, total] = await Promise.all([
+      InterviewTemplate.find(filter)
+        .populate("userId", "name")
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      InterviewTemplate.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map((template) => formatTemplate(template, user)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Create template
+// @route   POST /api/templates
+// @access  Private
+router.post(
+  "/",
+  authenticateUser,
+  createTemplateValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = req.user;
+    const template = new InterviewTemplate({
+      ...pickTemplateFields(req.body),
+      userId: user._id,
+    });
+
+    if (template.visibility === "organization" && !user.organization) {
+      return res.status(400).json(NO_ORGANIZATION_RESPONSE);
+    }
+
+    applyVisibility(template, user);
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Template created successfully",
+      data: {
+        template: formatTemplate(template, user),
+      },
+    });
+  })
+);
+
+// @desc    Get single template
+// @route   GET /api/templates/:id
+// @access  Private
+router.get(
+  "/:id",
+  authenticateUser,
+  idValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const template = await InterviewTemplate.findOne({
+      _id: req.params.id,
+      ...InterviewTemplate.accessibleBy(req.user),
+    }).populate("userId", "name");
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        template: formatTemplate(template, req.user),
+      },
+    });
+  })
+);
+
+// @desc    Update template (owner only)
+// @route   PUT /api/templates/:id
+// @access  Private
+router.put(
+  "/:id",
+  authenticateUser,
+  [...idValidation, ...updateTemplateValidation],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = req.user;
+    const template = await InterviewTemplate.findOne({
+      _id: req.params.id,
+      ...InterviewTemplate.accessibleBy(user),
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    if (!template.isOwnedBy(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the template's owner can change it",
+      });
+    }
+
+    template.set(pickTemplateFields(req.body));
+
+    if (template.visibility === "organization" && !user.organization) {
+      return res.status(400).json(NO_ORGANIZATION_RESPONSE);
+    }
+
+    applyVisibility(template, user);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: "Template updated successfully",
+      data: {
+        template: formatTemplate(template, user),
+      },
+    });
+  })
+);
+
+// @desc    Delete template (owner only)
+// @route   DELETE /api/templates/:id
+// @access  Private
+router.delete(
+  "/:id",
+  authenticateUser,
+  idValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = req.user;
+    const template = await InterviewTemplate.findOne({
+      _id: req.params.id,
+      ...InterviewTemplate.accessibleBy(user),
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    if (!template.isOwnedBy(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the template's owner can delete it",
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,175 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+
+import Interview from "../models/Interview.js";
+import FinalResult from "../models/FinalResult.js";
+import { authenticateUser } from "../middleware/auth.js";
+import {
+  paginationValidation,
+  trashQueryValidation,
+  trashRestoreValidation,
+  validate,
+} from "../middleware/validation.js";
+import {
+  getPurgeDate,
+  getTrashRetentionDays,
+  restoreInterview,
+} from "../services/trash.js";
+
+const router = express.Router();
+
+// Shape a trashed document for the listing
+const formatTrashItem = (type, doc) => ({
+  type,
+  id: doc._id,
+  deletedAt: doc.deletedAt,
+  purgeAt: getPurgeDate(doc.deletedAt),
+  item: doc,
+});
+
+// @desc    List trashed interviews and results
+// @route   GET /api/trash
+// @access  Private
+router.get(
+  "/",
+  authenticateUser,
+  [...paginationValidation, ...trashQueryValidation],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, type } = req.query;
+    const userId = req.user._id;
+    const skip = (page - 1) * limit;
+
+    // Only things deleted directly; answers and results trashed with an
+    // interview come back with it
+    const filter = {
+      userId,
+      deletedAt: { $ne: null },
+      deletedWithParent: { $ne: true },
+    };
+
+    const sources = [
+      {
+        type: "interviews",
+        model: Interview,
+        select: "-questions",
+      },
+      {
+        type: "results",
+        model: FinalResult,
+        select:
+          "interviewId overallScore grade passed questionsAnswered totalQuestions createdAt deletedAt",
+      },
+    ].filter((source) => !type || source.type === type);
+
+    // Newest deletions first across both types: take the first page's
+    // worth from each, then merge
+    const lists = await Promise.all(
+      sources.map(async (source) => {
+        const [docs, total] = await Promise.all([
+          source.model
+            .find(filter)
+            .select(source.select)
+            .sort({ deletedAt: -1 })
+            .limit(skip + parseInt(limit)),
+          source.model.countDocuments(filter),
+        ]);
+        return {
+          items: docs.map((doc) => formatTrashItem(source.type, doc)),
+          total,
+        };
+      })
+    );
+
+    const total = lists.reduce((sum, list) => sum + list.total, 0);
+    const items = lists
+      .flatMap((list) => list.items)
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .slice(skip, skip + parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        retentionDays: getTrashRetentionDays(),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Restore a trashed interview or result
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private
+router.post(
+  "/:type/:id/restore",
+  authenticateUser,
+  trashRestoreValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { type, id } = req.params;
+    const userId = req.user._id;
+    const trashed = { _id: id, userId, deletedAt: { $ne: null } };
+
+    if (type === "interviews") {
+      const interview = await Interview.findOne(trashed);
+
+      if (!interview) {
+        return res.status(404).json({
+          success: false,
+          message: "Interview not found in trash",
+        });
+      }
+
+      await restoreInterview(interview);
+
+      return res.json({
+        success: true,
+        message: "Interview restored successfully",
+        data: {
+          interview,
+        },
+      });
+    }
+
+    const result = await FinalResult.findOne(trashed);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Result not found in trash",
+      });
+    }
+
+    // A result can't come back without its interview
+    const interview = await Interview.findOne({
+      _id: result.interviewId,
+      userId,
+    });
+    if (!interview) {
+      return res.status(409).json({
+        success: false,
+        message: "Restore the interview for this result first",
+      });
+    }
+
+    await result.restoreFromTrash();
+
+    res.json({
+      success: true,
+      message: "Result restored successfully",
+      data: {
+        result,
+      },
+    });
+  })
+);
+
+export default router;
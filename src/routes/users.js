@@ -1,14 +1,47 @@
 import express from "express";
 import asyncHandler from "express-async-handler";
 import multer from "multer";
+import path from "path";
 import { body } from "express-validator";
 
 import User from "../models/User.js";
 import Interview from "../models/Interview.js";
-import Answer from "../models/Answer.js";
 import FinalResult from "../models/FinalResult.js";
-import { authenticateUser } from "../middleware/auth.js";
-import { updateProfileValidation, validate } from "../middleware/validation.js";
+import ApiKey from "../models/ApiKey.js";
+import AuditEvent from "../models/AuditEvent.js";
+import DataExport from "../models/DataExport.js";
+import {
+  authenticateUser,
+  generateDataExportToken,
+  verifyToken,
+  clearTokenCookie,
+  clearRefreshTokenCookie,
+} from "../middleware/auth.js";
+import {
+  updateProfileValidation,
+  createApiKeyValidation,
+  idValidation,
+  paginationValidation,
+  auditLogQueryValidation,
+  dataExportDownloadValidation,
+  deleteAccountValidation,
+  validate,
+} from "../middleware/validation.js";
+import {
+  issueEmailVerification,
+  sendAccountDeletionScheduledEmail,
+} from "../services/mailer.js";
+import { recordAuditEvent } from "../services/auditLog.js";
+import { queueDataExport, getExportDir } from "../services/dataExport.js";
+import { getDeletionGraceDays } from "../services/accountDeletion.js";
+import {
+  RESUME_FILE_TYPES,
+  extractResumeText,
+  getResumeDir,
+  removeResumeFile,
+  saveResumeFile,
+} from "../services/resume.js";
+import { parseResumeProfile } from "../config/gemini.js";
 
 const router = express.Router();
 
@@ -27,6 +60,25 @@ const upload = multer({
   },
 });
 
+// Configure multer for resume uploads
+const resumeUpload = multer({
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit for resumes
+  },
+  fileFilter: (req, file, cb) => {
+    if (RESUME_FILE_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      const error = new Error("Resume must be a PDF, DOCX or plain text file");
+      error.status = 400;
+      cb(error, false);
+    }
+  },
+});
+
+// Where the stored resume can be downloaded
+const RESUME_URL = "/api/users/resume/file";
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -56,6 +108,7 @@ router.get(
           id: user._id,
           name: user.name,
           email: user.email,
+          emailVerified: user.emailVerified,
           profileImage: user.profileImage,
           resumeUrl: user.resumeUrl,
           lastLogin: user.lastLogin,
@@ -96,14 +149,37 @@ router.put(
 
     // Update user fields
     const updateFields = {};
+    const emailChanged = email && email.toLowerCase() !== user.email;
     if (name) updateFields.name = name.trim();
     if (email) updateFields.email = email.toLowerCase();
 
+    // A new address has to be verified again
+    if (emailChanged) {
+      updateFields.emailVerified = false;
+      updateFields.emailVerifiedAt = null;
+    }
+
     const updatedUser = await User.findByIdAndUpdate(user._id, updateFields, {
       new: true,
       runValidators: true,
     });
 
+    await recordAuditEvent(req, {
+      action: "user.profile_update",
+      metadata: {
+        fields: Object.keys(updateFields),
+        ...(emailChanged && { previousEmail: user.email }),
+      },
+    });
+
+    if (emailChanged) {
+      try {
+        await issueEmailVerification(updatedUser);
+      } catch (error) {
+        console.error("Error sending verification email:", error);
+      }
+    }
+
     res.json({
       success: true,
       message: "Profile updated successfully",
@@ -112,6 +188,7 @@ router.put(
           id: updatedUser._id,
           name: updatedUser.name,
           email: updatedUser.email,
+          emailVerified: updatedUser.emailVerified,
           profileImage: updatedUser.profileImage,
           resumeUrl: updatedUser.resumeUrl,
           lastLogin: updatedUser.lastLogin,
@@ -146,6 +223,9 @@ router.get(
             inProgress: {
               $sum: { $cond: [{ $eq: ["$status", "in_progress"] }, 1, 0] },
             },
+            paused: {
+              $sum: { $cond: [{ $eq: ["$status", "paused"] }, 1, 0] },
+            },
             completed: {
               $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
             },
@@ -193,6 +273,7 @@ router.get(
       total: 0,
       generated: 0,
       inProgress: 0,
+      paused: 0,
       completed: 0,
       abandoned: 0,
       byHardness: [],
@@ -273,6 +354,7 @@ router.get(
           statusDistribution: {
             generated: interviewData.generated,
             inProgress: interviewData.inProgress,
+            paused: interviewData.paused,
             completed: interviewData.completed,
             abandoned: interviewData.abandoned,
           },
@@ -411,6 +493,11 @@ router.put(
         });
       }
 
+      await recordAuditEvent(req, {
+        action: "user.profile_image_update",
+        metadata: { removed: !imageUrl },
+      });
+
       res.json({
         success: true,
         message: imageUrl 
@@ -438,26 +525,559 @@ router.put(
   })
 );
 
-// @desc    Delete user account
-// @route   DELETE /api/users/account
+// @desc    Upload resume (PDF, DOCX or plain text) and parse it into a profile
+// @route   POST /api/users/resume
+// @access  Private
+router.post(
+  "/resume",
+  authenticateUser,
+  resumeUpload.single("resume"),
+  asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a resume file (PDF, DOCX or plain text)",
+      });
+    }
+
+    let text = "";
+    try {
+      text = await extractResumeText(req.file);
+    } catch (error) {
+      console.error("Error extracting resume text:", error);
+    }
+
+    if (text.length < 50) {
+      return res.status(422).json({
+        success: false,
+        message:
+          "Could not read enough text from this resume. Scanned documents aren't supported; please upload a text-based PDF, DOCX or plain text file.",
+      });
+    }
+
+    const { isFallback, ...profile } = await parseResumeProfile(text);
+    const fileName = await saveResumeFile(userId, req.file);
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      {
+        resumeUrl: RESUME_URL,
+        resume: {
+          fileName,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+          text,
+          profile,
+          parsedBy: isFallback ? "Fallback" : "AI",
+          uploadedAt: new Date(),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    await recordAuditEvent(req, {
+      action: "user.resume_upload",
+      metadata: {
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        parsedBy: updatedUser.resume.parsedBy,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: isFallback
+        ? "Resume uploaded, but it could not be analyzed right now. Upload it again later to fill in your profile."
+        : "Resume uploaded successfully",
+      data: {
+        resumeUrl: updatedUser.resumeUrl,
+        resume: updatedUser.toJSON().resume,
+      },
+    });
+  })
+);
+
+// @desc    Get uploaded resume details and parsed profile
+// @route   GET /api/users/resume
+// @access  Private
+router.get(
+  "/resume",
+  authenticateUser,
+  asyncHandler(async (req, res) => {
+    if (!req.user.resume) {
+      return res.status(404).json({
+        success: false,
+        message: "No resume uploaded",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        resumeUrl: req.user.resumeUrl,
+        resume: req.user.toJSON().resume,
+      },
+    });
+  })
+);
+
+// @desc    Download the uploaded resume file
+// @route   GET /api/users/resume/file
+// @access  Private
+router.get(
+  "/resume/file",
+  authenticateUser,
+  asyncHandler(async (req, res) => {
+    const { resume } = req.user;
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: "No resume uploaded",
+      });
+    }
+
+    res.download(
+      path.join(getResumeDir(), resume.fileName),
+      resume.originalName || resume.fileName,
+      (error) => {
+        if (error && !res.headersSent) {
+          console.error("Error sending resume:", error);
+          res.status(404).json({
+            success: false,
+            message: "Resume file not found",
+          });
+        }
+      }
+    );
+  })
+);
+
+// @desc    Delete uploaded resume and parsed profile
+// @route   DELETE /api/users/resume
 // @access  Private
 router.delete(
-  "/account",
+  "/resume",
   authenticateUser,
   asyncHandler(async (req, res) => {
     const userId = req.user._id;
 
-    // Delete user's interviews, answers, results, and user account
-    await Promise.all([
-      Interview.deleteMany({ userId }),
-      Answer.deleteMany({ userId }),
-      FinalResult.deleteMany({ userId }),
-      User.findByIdAndDelete(userId),
+    if (!req.user.resume) {
+      return res.status(404).json({
+        success: false,
+        message: "No resume uploaded",
+      });
+    }
+
+    await removeResumeFile(userId);
+    await User.findByIdAndUpdate(userId, {
+      resumeUrl: null,
+      $unset: { resume: 1 },
+    });
+
+    await recordAuditEvent(req, { action: "user.resume_delete" });
+
+    res.json({
+      success: true,
+      message: "Resume deleted successfully",
+    });
+  })
+);
+
+// @desc    Get the user's own security log
+// @route   GET /api/users/security-log
+// @access  Private
+router.get(
+  "/security-log",
+  authenticateUser,
+  paginationValidation,
+  auditLogQueryValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { action, outcome, page = 1, limit = 20 } = req.query;
+
+    const query = { userId: req.user._id };
+    if (action) query.action = action;
+    if (outcome) query.outcome = outcome;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .select("action outcome ip userAgent authMethod metadata createdAt"),
+      AuditEvent.countDocuments(query),
     ]);
 
     res.json({
       success: true,
-      message: "Account deleted successfully",
+      data: {
+        events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  })
+);
+
+// Maximum number of usable API keys per user
+const MAX_API_KEYS = 10;
+
+// Shape an API key for responses (never includes the secret)
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  keyPrefix: apiKey.keyPrefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  isActive: apiKey.isActive,
+  createdAt: apiKey.createdAt,
+});
+
+// @desc    Create a personal API key
+// @route   POST /api/users/api-keys
+// @access  Private
+router.post(
+  "/api-keys",
+  authenticateUser,
+  createApiKeyValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+    const userId = req.user._id;
+
+    const activeCount = await ApiKey.countActiveForUser(userId);
+    if (activeCount >= MAX_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_KEYS} active API keys. Revoke one first.`,
+      });
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { apiKey, rawKey } = await ApiKey.createForUser(userId, {
+      name: name.trim(),
+      scopes,
+      expiresAt,
+    });
+
+    await recordAuditEvent(req, {
+      action: "user.api_key_create",
+      metadata: { apiKeyId: apiKey._id, keyPrefix: apiKey.keyPrefix, scopes },
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        "API key created. Copy it now; it will not be shown again.",
+      data: {
+        apiKey: formatApiKey(apiKey),
+        key: rawKey,
+      },
+    });
+  })
+);
+
+// @desc    List personal API keys
+// @route   GET /api/users/api-keys
+// @access  Private
+router.get(
+  "/api-keys",
+  authenticateUser,
+  asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(formatApiKey),
+      },
+    });
+  })
+);
+
+// @desc    Revoke a personal API key
+// @route   DELETE /api/users/api-keys/:id
+// @access  Private
+router.delete(
+  "/api-keys/:id",
+  authenticateUser,
+  idValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await recordAuditEvent(req, {
+        action: "user.api_key_revoke",
+        metadata: { apiKeyId: apiKey._id, keyPrefix: apiKey.keyPrefix },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+      data: {
+        apiKey: formatApiKey(apiKey),
+      },
+    });
+  })
+);
+
+// Shape a data export job for responses, with a download link while the
+// archive is available
+const formatDataExport = (job) => ({
+  id: job._id,
+  status: job.status,
+  fileSize: job.fileSize,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  error: job.error,
+  createdAt: job.createdAt,
+  downloadUrl: job.isDownloadable
+    ? `/api/users/export/${job._id}/download?token=${generateDataExportToken(
+        job._id,
+        job.userId,
+        job.expiresAt
+      )}`
+    : null,
+});
+
+// @desc    Request an export of all personal data
+// @route   POST /api/users/export
+// @access  Private
+router.post(
+  "/export",
+  authenticateUser,
+  asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    // One export at a time per user
+    const inProgress = await DataExport.findInProgressForUser(userId);
+    if (inProgress) {
+      return res.status(202).json({
+        success: true,
+        message: "Your data export is already being prepared",
+        data: {
+          export: formatDataExport(inProgress),
+        },
+      });
+    }
+
+    const job = await DataExport.create({ userId });
+    queueDataExport(job._id);
+
+    await recordAuditEvent(req, {
+      action: "user.data_export_request",
+      metadata: { exportId: job._id },
+    });
+
+    res.status(202).json({
+      success: true,
+      message:
+        "Your data export is being prepared. We'll email you when it's ready.",
+      data: {
+        export: formatDataExport(job),
+      },
+    });
+  })
+);
+
+// @desc    List data exports
+// @route   GET /api/users/export
+// @access  Private
+router.get(
+  "/export",
+  authenticateUser,
+  asyncHandler(async (req, res) => {
+    const exports = await DataExport.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      data: {
+        exports: exports.map(formatDataExport),
+      },
+    });
+  })
+);
+
+// @desc    Get a data export's status
+// @route   GET /api/users/export/:id
+// @access  Private
+router.get(
+  "/export/:id",
+  authenticateUser,
+  idValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const job = await DataExport.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Data export not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        export: formatDataExport(job),
+      },
+    });
+  })
+);
+
+// @desc    Download a data export archive
+// @route   GET /api/users/export/:id/download?token=
+// @access  Public (time-limited link from the export status)
+router.get(
+  "/export/:id/download",
+  dataExportDownloadValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const invalidLink = {
+      success: false,
+      message: "Download link is invalid or has expired",
+    };
+
+    let decoded;
+    try {
+      decoded = verifyToken(req.query.token);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (
+      !decoded ||
+      decoded.type !== "data_export" ||
+      decoded.exportId !== req.params.id
+    ) {
+      return res.status(401).json(invalidLink);
+    }
+
+    const job = await DataExport.findOne({
+      _id: req.params.id,
+      userId: decoded.userId,
+    });
+    if (!job || !job.isDownloadable) {
+      return res.status(410).json(invalidLink);
+    }
+
+    job.downloadCount += 1;
+    await job.save();
+
+    await recordAuditEvent(req, {
+      action: "user.data_export_download",
+      userId: job.userId,
+      metadata: { exportId: job._id },
+    });
+
+    res.download(
+      path.join(getExportDir(), job.fileName),
+      "prepwise-data-export.zip",
+      (error) => {
+        if (error && !res.headersSent) {
+          console.error("Error sending data export:", error);
+          res.status(410).json(invalidLink);
+        }
+      }
+    );
+  })
+);
+
+// @desc    Schedule account deletion (after a grace period)
+// @route   DELETE /api/users/account
+// @access  Private
+router.delete(
+  "/account",
+  authenticateUser,
+  deleteAccountValidation,
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Set a password with 'forgot password' before deleting your account",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      await recordAuditEvent(req, {
+        action: "user.account_deletion_scheduled",
+        outcome: "failure",
+        metadata: { reason: "invalid_password" },
+      });
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    // Deactivates the account and logs it out everywhere; the data is
+    // deleted by the sweeper once the grace period ends
+    const graceDays = getDeletionGraceDays();
+    await user.scheduleDeletion(graceDays);
+
+    await recordAuditEvent(req, {
+      action: "user.account_deletion_scheduled",
+      metadata: { deletionScheduledFor: user.deletionScheduledFor },
+    });
+
+    try {
+      await sendAccountDeletionScheduledEmail(user, user.deletionScheduledFor);
+    } catch (error) {
+      console.error("Error sending account deletion email:", error);
+    }
+
+    clearTokenCookie(res);
+    clearRefreshTokenCookie(res);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${graceDays} days. Log in before then to cancel.`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor,
+      },
     });
   })
 );
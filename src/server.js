@@ -11,6 +11,14 @@ import dotenv from "dotenv";
 // Import database connection
 import { connectDB } from "./config/database.js";
 import User from "./models/User.js";
+import {
+  cleanupExpiredExports,
+  resumePendingExports,
+} from "./services/dataExport.js";
+import { purgeDueAccounts } from "./services/accountDeletion.js";
+import { purgeExpiredTrash } from "./services/trash.js";
+import { expireOverdueInterviews } from "./services/interviewTimer.js";
+import { abandonStaleInterviews } from "./services/interviewAbandonment.js";
 import mongoose from "mongoose";
 
 // Import routes
@@ -20,6 +28,9 @@ import answerRoutes from "./routes/answers.js";
 import resultRoutes from "./routes/results.js";
 import userRoutes from "./routes/users.js";
 import facialAnalysisRoutes from "./routes/facialAnalysis.js";
+import adminRoutes from "./routes/admin.js";
+import trashRoutes from "./routes/trash.js";
+import templateRoutes from "./routes/templates.js";
 
 // Import middleware
 import { errorHandler } from "./middleware/errorHandler.js";
@@ -46,6 +57,20 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Stricter limiter for authentication routes. Only failed requests count,
+// so normal use (refresh, /me) isn't throttled but guessing is.
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20, // failed auth requests per IP per window
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: "Too many authentication attempts from this IP, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // --- Middleware ---
 app.use(
   helmet({
@@ -101,12 +126,15 @@ app.get("/health", (req, res) => {
 });
 
 // API Routes
-app.use("/api/auth", authRoutes);
+app.use("/api/auth", authLimiter, authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/interviews", interviewRoutes);
 app.use("/api/answers", answerRoutes);
 app.use("/api/results", resultRoutes);
 app.use("/api/facial-analysis", facialAnalysisRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/templates", templateRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -136,6 +164,65 @@ const startTokenCleanup = () => {
   }, 5 * 60 * 1000); // 5 minutes
 };
 
+// Resume interrupted data exports and delete expired archives (hourly)
+const startDataExportMaintenance = () => {
+  resumePendingExports().catch((error) =>
+    console.error("❌ Error resuming data exports:", error)
+  );
+
+  setInterval(async () => {
+    try {
+      await cleanupExpiredExports();
+    } catch (error) {
+      console.error("❌ Error during data export cleanup:", error);
+    }
+  }, 60 * 60 * 1000); // 1 hour
+};
+
+// Delete accounts whose deletion grace period has ended (hourly)
+const startAccountDeletionSweeper = () => {
+  setInterval(async () => {
+    try {
+      await purgeDueAccounts();
+    } catch (error) {
+      console.error("❌ Error during account deletion sweep:", error);
+    }
+  }, 60 * 60 * 1000); // 1 hour
+};
+
+// Permanently delete trash older than the retention window (hourly)
+const startTrashPurge = () => {
+  setInterval(async () => {
+    try {
+      await purgeExpiredTrash();
+    } catch (error) {
+      console.error("❌ Error during trash purge:", error);
+    }
+  }, 60 * 60 * 1000); // 1 hour
+};
+
+// Close interviews whose total time limit ran out (every minute)
+const startInterviewTimerSweep = () => {
+  setInterval(async () => {
+    try {
+      await expireOverdueInterviews();
+    } catch (error) {
+      console.error("❌ Error closing overdue interviews:", error);
+    }
+  }, 60 * 1000); // 1 minute
+};
+
+// Abandon interviews left in progress without activity (hourly)
+const startStaleInterviewSweep = () => {
+  setInterval(async () => {
+    try {
+      await abandonStaleInterviews();
+    } catch (error) {
+      console.error("❌ Error abandoning stale interviews:", error);
+    }
+  }, 60 * 60 * 1000); // 1 hour
+};
+
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`🚀 Prepwise Backend running on port ${PORT}`);
@@ -145,6 +232,21 @@ const server = app.listen(PORT, () => {
   // Start token cleanup scheduler
   startTokenCleanup();
   console.log("🧹 Token cleanup scheduler started");
+
+  startDataExportMaintenance();
+  startAccountDeletionSweeper();
+  startTrashPurge();
+  startInterviewTimerSweep();
+  startStaleInterviewSweep();
+
+  // Treat accounts from before email verification as verified, then
+  // promote the configured first admin (no-op once an admin exists)
+  User.verifyLegacyUsers()
+    .catch((error) =>
+      console.error("❌ Error verifying existing users:", error)
+    )
+    .then(() => User.bootstrapAdmin())
+    .catch((error) => console.error("❌ Error bootstrapping admin:", error));
 });
 
 // ✅ **IMPROVED**: A true graceful shutdown
@@ -0,0 +1,62 @@
+import User from "../models/User.js";
+import Interview from "../models/Interview.js";
+import Answer from "../models/Answer.js";
+import FinalResult from "../models/FinalResult.js";
+import ApiKey from "../models/ApiKey.js";
+import InterviewTemplate from "../models/InterviewTemplate.js";
+import { deleteUserExports } from "./dataExport.js";
+import { removeResumeFile } from "./resume.js";
+import { recordAuditEvent } from "./auditLog.js";
+
+// Scheduled account deletion: accounts are deactivated when deletion is
+// requested and purged by a background sweeper once the grace period ends.
+
+export const getDeletionGraceDays = () =>
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Permanently delete a user and everything they own
+export async function deleteUserData(userId) {
+  await Promise.all([
+    Interview.deleteMany({ userId }),
+    Answer.deleteMany({ userId }),
+    FinalResult.deleteMany({ userId }),
+    ApiKey.deleteMany({ userId }),
+    InterviewTemplate.deleteMany({ userId }),
+    deleteUserExports(userId),
+    removeResumeFile(userId),
+  ]);
+
+  // The account goes last so a failed run is retried on the next sweep
+  await User.findByIdAndDelete(userId);
+}
+
+// Delete every account whose grace period has passed
+export async function purgeDueAccounts() {
+  const users = await User.findDueForDeletion();
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      await deleteUserData(user._id);
+      purged += 1;
+
+      // The audit trail outlives the account, so keep the email for reference
+      await recordAuditEvent(null, {
+        action: "user.account_delete",
+        userId: user._id,
+        actorId: null,
+        metadata: {
+          email: user.email,
+          requestedAt: user.deletionRequestedAt,
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error deleting account ${user._id}:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️  Deleted ${purged} account(s) after their grace period`);
+  }
+  return purged;
+}
@@ -0,0 +1,63 @@
+import Answer from "../models/Answer.js";
+import { generateFollowUpQuestion } from "../config/gemini.js";
+
+// Adaptive interviews: once an answer is evaluated, a weak answer gets a
+// follow-up question probing it and a strong one gets a harder question on
+// the same topic, until the interview reaches its question cap.
+
+// Answers scoring below this get a follow-up
+export const FOLLOW_UP_BELOW_SCORE = 60;
+// Answers scoring at least this get an escalation
+export const ESCALATE_FROM_SCORE = 85;
+
+// Kind of adaptive question an evaluation calls for, if any
+export const getAdaptiveOrigin = (evaluation) => {
+  // Canned fallback scores say nothing about the candidate
+  if (!evaluation || evaluation.isFallback) return null;
+
+  const score = Number(evaluation.overallScore);
+  if (score < FOLLOW_UP_BELOW_SCORE) return "follow_up";
+  if (score >= ESCALATE_FROM_SCORE) return "escalation";
+  return null;
+};
+
+// Add an adaptive question after an answered one if the answer calls for
+// it. Returns the new question, or null if none was added.
+export async function addAdaptiveQuestion(interview, question, answer) {
+  if (!interview.canAddAdaptiveQuestion) return null;
+
+  // Only planned questions branch, and only once, so follow-ups don't chain
+  if (question.origin !== "planned") return null;
+  if (
+    interview.questions.some(
+      (q) => q.parentQuestionNumber === question.questionNumber
+    )
+  ) {
+    return null;
+  }
+
+  const origin = getAdaptiveOrigin(answer.aiEvaluation);
+  if (!origin) return null;
+
+  const followUp = await generateFollowUpQuestion({
+    question,
+    answerText: answer.answerText,
+    evaluation: answer.aiEvaluation,
+    origin,
+    techStack: interview.techStack,
+    experienceLevel: interview.experienceLevel,
+    hardnessLevel: interview.hardnessLevel,
+  });
+  if (!followUp) return null;
+
+  const answeredNumbers = await Answer.distinct("questionNumber", {
+    interviewId: interview._id,
+    userId: answer.userId,
+  });
+
+  return await interview.insertAdaptiveQuestion(
+    followUp,
+    question.questionNumber,
+    answeredNumbers
+  );
+}
@@ -0,0 +1,35 @@
+import AuditEvent from "../models/AuditEvent.js";
+import { getClientInfo } from "../utils/helpers.js";
+
+// Record a security audit event for a request (null for background jobs).
+// Auditing must never break the request it describes, so failures are
+// logged and swallowed.
+export async function recordAuditEvent(
+  req,
+  { action, outcome = "success", userId, actorId, metadata = {} }
+) {
+  const { ip, userAgent } = req
+    ? getClientInfo(req)
+    : { ip: null, userAgent: null };
+  const subjectId = userId !== undefined ? userId : req?.user?._id || null;
+
+  let authMethod = "none";
+  if (req?.apiKey) authMethod = "api_key";
+  else if (req?.user) authMethod = "token";
+
+  try {
+    return await AuditEvent.create({
+      userId: subjectId,
+      actorId: actorId !== undefined ? actorId : req?.user?._id || subjectId,
+      action,
+      outcome,
+      ip,
+      userAgent,
+      authMethod,
+      metadata,
+    });
+  } catch (error) {
+    console.error("Error recording audit event:", error);
+    return null;
+  }
+}
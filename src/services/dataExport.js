@@ -0,0 +1,238 @@
+import fs from "fs/promises";
+import path from "path";
+
+import User from "../models/User.js";
+import Interview from "../models/Interview.js";
+import Answer from "../models/Answer.js";
+import FinalResult from "../models/FinalResult.js";
+import DataExport from "../models/DataExport.js";
+import InterviewTemplate from "../models/InterviewTemplate.js";
+import { createZip } from "../utils/zip.js";
+import { toCsv } from "../utils/helpers.js";
+import { sendDataExportReadyEmail } from "./mailer.js";
+
+// Personal data exports: a ZIP with a full JSON dump plus CSV tables of the
+// user's profile, interviews, questions, answers and results. Archives are
+// built in the background, one at a time, and deleted once they expire.
+
+export const getExportDir = () =>
+  path.resolve(process.env.EXPORT_DIR || "exports");
+
+const getExpiresInHours = () =>
+  parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 24;
+
+// Jobs run one after another so large exports don't compete for memory
+let queue = Promise.resolve();
+
+// Collect everything stored about a user (trashed items included)
+async function collectUserData(userId) {
+  const [user, interviews, answers, results, templates] = await Promise.all([
+    User.findById(userId),
+    Interview.find({ userId }).withDeleted().sort({ createdAt: 1 }),
+    Answer.find({ userId })
+      .withDeleted()
+      .sort({ interviewId: 1, questionNumber: 1 }),
+    FinalResult.find({ userId }).withDeleted().sort({ createdAt: 1 }),
+    InterviewTemplate.find({ userId }).sort({ createdAt: 1 }),
+  ]);
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  return {
+    user: user.toJSON(),
+    interviews: interviews.map((interview) => interview.toJSON()),
+    answers: answers.map((answer) => answer.toJSON()),
+    results: results.map((result) => result.toJSON()),
+    templates: templates.map((template) => template.toJSON()),
+  };
+}
+
+// Build the archive contents for a user
+export async function buildUserArchive(userId) {
+  const data = await collectUserData(userId);
+  const exportedAt = new Date();
+
+  const questions = data.interviews.flatMap((interview) =>
+    interview.questions.map((question) => ({
+      interviewId: interview._id,
+      ...question,
+    }))
+  );
+
+  const files = [
+    {
+      name: "prepwise-export.json",
+      content: JSON.stringify({ exportedAt, ...data }, null, 2),
+    },
+    {
+      name: "profile.csv",
+      content: toCsv(
+        [data.user],
+        [
+          { header: "id", value: (u) => u._id },
+          { header: "name", value: (u) => u.name },
+          { header: "email", value: (u) => u.email },
+          { header: "role", value: (u) => u.role },
+          { header: "emailVerified", value: (u) => u.emailVerified },
+          { header: "lastLogin", value: (u) => u.lastLogin },
+          { header: "createdAt", value: (u) => u.createdAt },
+        ]
+      ),
+    },
+    {
+      name: "interviews.csv",
+      content: toCsv(data.interviews, [
+        { header: "id", value: (i) => i._id },
+        { header: "techStack", value: (i) => i.techStack.join("; ") },
+        { header: "hardnessLevel", value: (i) => i.hardnessLevel },
+        { header: "experienceLevel", value: (i) => i.experienceLevel },
+        { header: "numberOfQuestions", value: (i) => i.numberOfQuestions },
+        { header: "status", value: (i) => i.status },
+        { header: "startedAt", value: (i) => i.startedAt },
+        { header: "completedAt", value: (i) => i.completedAt },
+        { header: "duration", value: (i) => i.duration },
+        { header: "createdAt", value: (i) => i.createdAt },
+      ]),
+    },
+    {
+      name: "questions.csv",
+      content: toCsv(questions, [
+        { header: "interviewId", value: (q) => q.interviewId },
+        { header: "questionNumber", value: (q) => q.questionNumber },
+        { header: "category", value: (q) => q.category },
+        { header: "questionText", value: (q) => q.questionText },
+        { header: "expectedAnswer", value: (q) => q.expectedAnswer },
+      ]),
+    },
+    {
+      name: "answers.csv",
+      content: toCsv(data.answers, [
+        { header: "id", value: (a) => a._id },
+        { header: "interviewId", value: (a) => a.interviewId },
+        { header: "questionNumber", value: (a) => a.questionNumber },
+        { header: "questionText", value: (a) => a.questionText },
+        { header: "answerText", value: (a) => a.answerText },
+        { header: "answerDuration", value: (a) => a.answerDuration },
+        { header: "aiOverallScore", value: (a) => a.aiEvaluation?.overallScore },
+        { header: "aiFeedback", value: (a) => a.aiEvaluation?.feedback },
+        { header: "aiEvaluation", value: (a) => a.aiEvaluation },
+        {
+          header: "facialOverallScore",
+          value: (a) => a.facialAnalysis?.overallScore,
+        },
+        { header: "facialAnalysis", value: (a) => a.facialAnalysis },
+        { header: "submittedAt", value: (a) => a.submittedAt },
+      ]),
+    },
+    {
+      name: "results.csv",
+      content: toCsv(data.results, [
+        { header: "id", value: (r) => r._id },
+        { header: "interviewId", value: (r) => r.interviewId },
+        { header: "overallScore", value: (r) => r.overallScore },
+        { header: "grade", value: (r) => r.grade },
+        { header: "passed", value: (r) => r.passed },
+        { header: "categoryScores", value: (r) => r.categoryScores },
+        { header: "strengths", value: (r) => r.strengths },
+        { header: "weaknesses", value: (r) => r.weaknesses },
+        { header: "recommendations", value: (r) => r.recommendations },
+        { header: "detailedFeedback", value: (r) => r.detailedFeedback },
+        { header: "questionsAnswered", value: (r) => r.questionsAnswered },
+        { header: "totalQuestions", value: (r) => r.totalQuestions },
+        { header: "createdAt", value: (r) => r.createdAt },
+      ]),
+    },
+  ];
+
+  return createZip(files, exportedAt);
+}
+
+// Build one export job's archive and record the outcome
+export async function processDataExport(exportId) {
+  const job = await DataExport.findById(exportId);
+  if (!job || !["pending", "processing"].includes(job.status)) return;
+
+  job.status = "processing";
+  await job.save();
+
+  try {
+    const archive = await buildUserArchive(job.userId);
+    const fileName = `prepwise-export-${job.userId}-${job._id}.zip`;
+
+    await fs.mkdir(getExportDir(), { recursive: true });
+    await fs.writeFile(path.join(getExportDir(), fileName), archive);
+
+    const expiresInHours = getExpiresInHours();
+    await job.complete({ fileName, fileSize: archive.length }, expiresInHours);
+
+    const user = await User.findById(job.userId);
+    if (user) {
+      try {
+        await sendDataExportReadyEmail(user, expiresInHours);
+      } catch (error) {
+        console.error("Error sending data export email:", error);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Data export ${job._id} failed:`, error);
+    job.status = "failed";
+    job.error = "Export could not be generated. Please try again.";
+    await job.save();
+  }
+}
+
+// Queue an export job to run in the background
+export function queueDataExport(exportId) {
+  queue = queue
+    .then(() => processDataExport(exportId))
+    .catch((error) => console.error("❌ Data export queue error:", error));
+  return queue;
+}
+
+// Re-queue jobs interrupted by a restart
+export async function resumePendingExports() {
+  const jobs = await DataExport.find({
+    status: { $in: ["pending", "processing"] },
+  }).select("_id");
+  jobs.forEach((job) => queueDataExport(job._id));
+  return jobs.length;
+}
+
+// Delete an export's archive file (missing files are fine)
+export async function removeExportFile(job) {
+  if (!job.fileName) return;
+  try {
+    await fs.unlink(path.join(getExportDir(), job.fileName));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+// Delete archives whose download window has passed
+export async function cleanupExpiredExports() {
+  const expired = await DataExport.find({
+    status: "completed",
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const job of expired) {
+    await removeExportFile(job);
+    job.status = "expired";
+    job.fileName = null;
+    await job.save();
+  }
+
+  if (expired.length > 0) {
+    console.log(`🧹 Removed ${expired.length} expired data export(s)`);
+  }
+  return expired.length;
+}
+
+// Delete all of a user's exports and their files (account deletion)
+export async function deleteUserExports(userId) {
+  const jobs = await DataExport.find({ userId });
+  await Promise.all(jobs.map(removeExportFile));
+  await DataExport.deleteMany({ userId });
+}
@@ -0,0 +1,131 @@
+import FinalResult from "../models/FinalResult.js";
+import { generateFinalResult } from "../config/gemini.js";
+import { aggregateFacialAnalysis } from "./facialAnalysis.js";
+
+// Final result generation, shared by the results routes and interview
+// abandonment (which can produce a partial result from the answers given).
+
+// Average AI answer score per skill, using the skills each question was
+// tagged with (job description interviews)
+const calculateSkillScores = (interview, answers) => {
+  const requiredSkills = interview.jobPosting?.requiredSkills || [];
+  const scores = new Map();
+
+  for (const answer of answers) {
+    const question = interview.questions.find(
+      (q) => q.questionNumber === answer.questionNumber
+    );
+    const score = answer.aiEvaluation?.overallScore;
+    if (!question || typeof score !== "number") continue;
+
+    for (const skill of question.skills || []) {
+      const entry = scores.get(skill) || { total: 0, questionCount: 0 };
+      entry.total += score;
+      entry.questionCount += 1;
+      scores.set(skill, entry);
+    }
+  }
+
+  return [...scores].map(([skill, { total, questionCount }]) => ({
+    skill,
+    averageScore: Math.round(total / questionCount),
+    questionCount,
+    required: requiredSkills.includes(skill),
+  }));
+};
+
+const getGrade = (overallScore) => {
+  if (overallScore >= 95) return "A+";
+  if (overallScore >= 90) return "A";
+  if (overallScore >= 85) return "B+";
+  if (overallScore >= 80) return "B";
+  if (overallScore >= 75) return "C+";
+  if (overallScore >= 70) return "C";
+  if (overallScore >= 60) return "D";
+  return "F";
+};
+
+// Generate and store the result for an interview from its answers. Results
+// for abandoned interviews are marked partial. There is one result per
+// interview, trashed ones included: if it is in the trash nothing is
+// generated and it is returned as `trashedResult` (restore it instead).
+export async function createFinalResult(interview, answers) {
+  const trashedResult = await FinalResult.findOne({
+    interviewId: interview._id,
+    userId: interview.userId,
+    deletedAt: { $ne: null },
+  });
+  if (trashedResult) {
+    return { finalResult: null, trashedResult };
+  }
+
+  // Aggregate facial analysis results
+  const facialAnalysisResults = answers
+    .map((answer) => answer.facialAnalysis)
+    .filter((analysis) => analysis && analysis.overallScore > 0);
+
+  const aggregatedFacialAnalysis = aggregateFacialAnalysis(
+    facialAnalysisResults
+  );
+
+  // Generate final result using AI
+  const startTime = Date.now();
+  const aiResult = await generateFinalResult({
+    answers,
+    interview,
+    facialAnalysisResults: aggregatedFacialAnalysis,
+  });
+  const processingTime = Date.now() - startTime;
+
+  // Calculate completion metrics
+  const completionTime = interview.duration || 0;
+  const questionsAnswered = answers.length;
+  const totalQuestions = interview.numberOfQuestions;
+
+  // Ensure overallScore is a number and calculate grade and passed status manually
+  const overallScore = Number(aiResult.overallScore);
+  const grade = getGrade(overallScore);
+  const passed = overallScore >= 70;
+  const completionPercentage = Math.round(
+    (questionsAnswered / totalQuestions) * 100
+  );
+
+  // Debug logging
+  console.log(
+    `Final Result Debug: overallScore=${overallScore}, passed=${passed}, grade=${grade}`
+  );
+
+  // Use findOneAndUpdate with upsert to handle race conditions
+  const finalResult = await FinalResult.findOneAndUpdate(
+    { interviewId: interview._id, userId: interview.userId },
+    {
+      overallScore,
+      categoryScores: aiResult.categoryScores,
+      strengths: aiResult.strengths,
+      weaknesses: aiResult.weaknesses,
+      recommendations: aiResult.recommendations,
+      detailedFeedback: aiResult.detailedFeedback,
+      grade,
+      passed,
+      completionTime,
+      questionsAnswered,
+      totalQuestions,
+      completionPercentage,
+      isPartial: interview.status === "abandoned",
+      skillScores: calculateSkillScores(interview, answers),
+      metadata: {
+        aiModel: "gemini-2.0-flash-001",
+        facialAnalysisModel: "django-facial-analysis",
+        processingTime,
+        isFallback: Boolean(aiResult.isFallback),
+      },
+    },
+    {
+      new: true,
+      upsert: true,
+      runValidators: true,
+    }
+  );
+
+  return { finalResult, aggregatedFacialAnalysis };
+}
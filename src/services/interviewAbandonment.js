@@ -0,0 +1,100 @@
+import Interview from "../models/Interview.js";
+import Answer from "../models/Answer.js";
+import { createFinalResult } from "./finalResult.js";
+
+// Abandoned interviews: ones the candidate gave up on, either explicitly or
+// by going quiet for longer than the inactivity threshold. A partial result
+// can be generated from the answers given so the attempt still counts.
+
+export const getInactivityHours = () =>
+  parseInt(process.env.INTERVIEW_INACTIVITY_HOURS) || 24;
+
+// Whether partial results are generated when none is asked for explicitly
+export const shouldGeneratePartialResults = () =>
+  process.env.INTERVIEW_ABANDON_PARTIAL_RESULTS !== "false";
+
+// Latest sign of life: the start, a question being served, a pause or
+// resume, or an answer being submitted or edited. servedAt isn't used: it
+// is moved forward on resume, so a long pause would look like activity.
+export async function getLastActivityAt(interview) {
+  const lastAnswer = await Answer.findOne({ interviewId: interview._id })
+    .sort({ updatedAt: -1 })
+    .select("updatedAt");
+
+  return [interview.startedAt, interview.lastActivityAt, lastAnswer?.updatedAt]
+    .filter(Boolean)
+    .reduce((latest, date) => (date > latest ? date : latest));
+}
+
+// Abandon an interview, optionally generating a partial result from its
+// answers. A failed result is logged, not thrown: the interview still ends.
+export async function abandonInterview(
+  interview,
+  {
+    reason = "user",
+    endedAt = new Date(),
+    generateResult = shouldGeneratePartialResults(),
+  } = {}
+) {
+  await interview.abandonInterview(reason, endedAt);
+
+  if (!generateResult) return { interview, result: null };
+
+  const answers = await Answer.getInterviewAnswers(
+    interview._id,
+    interview.userId
+  );
+  if (answers.length === 0) return { interview, result: null };
+
+  try {
+    // A trashed result is left where it is: the user deleted it
+    const { finalResult } = await createFinalResult(interview, answers);
+    return { interview, result: finalResult };
+  } catch (error) {
+    console.error(
+      `❌ Error generating partial result for interview ${interview._id}:`,
+      error
+    );
+    return { interview, result: null };
+  }
+}
+
+// Abandon in-progress and paused interviews with no activity within the
+// threshold. A paused one is abandoned as it stands, so its pause ends where
+// it began and doesn't count toward the duration; one whose pause hasn't
+// run out yet is left alone.
+export async function abandonStaleInterviews() {
+  const now = new Date();
+  const cutoff = new Date(now - getInactivityHours() * 60 * 60 * 1000);
+
+  // Anything started after the cutoff has had activity since
+  const candidates = await Interview.find({
+    status: { $in: ["in_progress", "paused"] },
+    startedAt: { $lte: cutoff },
+  });
+
+  let abandoned = 0;
+  for (const interview of candidates) {
+    try {
+      if (interview.status === "paused" && interview.pauseExpiresAt > now) {
+        continue;
+      }
+
+      const lastActivityAt = await getLastActivityAt(interview);
+      if (lastActivityAt > cutoff) continue;
+
+      await abandonInterview(interview, {
+        reason: "inactivity",
+        endedAt: lastActivityAt,
+      });
+      abandoned += 1;
+    } catch (error) {
+      console.error(`❌ Error abandoning interview ${interview._id}:`, error);
+    }
+  }
+
+  if (abandoned > 0) {
+    console.log(`💤 Abandoned ${abandoned} inactive interview(s)`);
+  }
+  return abandoned;
+}
@@ -0,0 +1,93 @@
+import Interview from "../models/Interview.js";
+import Answer from "../models/Answer.js";
+
+// Server-enforced interview timers. Each question's serve time is recorded
+// so answer durations and lateness are measured on the server, and
+// interviews whose total time limit runs out are closed automatically.
+// Pauses stop the clock, within the pause policy.
+
+// Allowance for network latency when checking deadlines
+export const LATE_ANSWER_GRACE_SECONDS = 5;
+
+// How often and how long (in total) an interview may be paused
+export const getPausePolicy = () => ({
+  maxPauses: parseInt(process.env.INTERVIEW_MAX_PAUSES) || 3,
+  maxPauseSeconds:
+    (parseInt(process.env.INTERVIEW_MAX_PAUSE_MINUTES) || 15) * 60,
+});
+
+// Resume an interview whose pause budget ran out. Returns true if it did.
+export async function resumeIfPauseExpired(interview) {
+  if (
+    interview.status !== "paused" ||
+    !interview.pauseExpiresAt ||
+    interview.pauseExpiresAt > new Date()
+  ) {
+    return false;
+  }
+
+  await interview.resumeInterview();
+  return true;
+}
+
+// Close an interview whose total time ran out (resuming an expired pause
+// first). Returns true if it was closed.
+export async function expireInterviewIfOverdue(interview) {
+  await resumeIfPauseExpired(interview);
+  if (!interview.isOverdue) return false;
+
+  const hasAnswers = await Answer.exists({
+    interviewId: interview._id,
+    userId: interview.userId,
+  });
+  await interview.expire(Boolean(hasAnswers));
+  return true;
+}
+
+// Server-side timing for an answer submitted now: how long the question
+// was open and whether the answer missed its deadline
+export function getAnswerTiming(interview, question, now = new Date()) {
+  const deadline = interview.getQuestionDeadline(question);
+  const overBySeconds = deadline ? Math.floor((now - deadline) / 1000) : 0;
+  const isLate = overBySeconds > LATE_ANSWER_GRACE_SECONDS;
+
+  return {
+    servedAt: question.servedAt || null,
+    elapsedSeconds: question.servedAt
+      ? Math.max(0, Math.round((now - question.servedAt) / 1000))
+      : null,
+    // Per-question limits only work if the question was served first
+    notServed: Boolean(
+      interview.timeLimits?.perQuestionSeconds && !question.servedAt
+    ),
+    deadline,
+    isLate,
+    lateBySeconds: isLate ? overBySeconds : 0,
+  };
+}
+
+// Resume expired pauses and close every interview whose total time has
+// run out
+export async function expireOverdueInterviews() {
+  const now = new Date();
+  const overdue = await Interview.find({
+    $or: [
+      { status: "in_progress", deadlineAt: { $ne: null, $lte: now } },
+      { status: "paused", pauseExpiresAt: { $ne: null, $lte: now } },
+    ],
+  });
+
+  let expired = 0;
+  for (const interview of overdue) {
+    try {
+      if (await expireInterviewIfOverdue(interview)) expired += 1;
+    } catch (error) {
+      console.error(`❌ Error expiring interview ${interview._id}:`, error);
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`⏱️  Closed ${expired} interview(s) whose time ran out`);
+  }
+  return expired;
+}
@@ -0,0 +1,87 @@
+import dotenv from "dotenv";
+
+import LoginThrottle from "../models/LoginThrottle.js";
+
+dotenv.config();
+
+const MINUTE = 60 * 1000;
+
+// Lockout policy (overridable via env)
+const accountPolicy = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  failureWindowMs: 60 * MINUTE,
+  baseLockMs: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE,
+  maxLockMs: 24 * 60 * MINUTE,
+  retentionMs: 24 * 60 * MINUTE,
+});
+
+const ipPolicy = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  failureWindowMs: 60 * MINUTE,
+  baseLockMs: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE,
+  maxLockMs: 24 * 60 * MINUTE,
+  retentionMs: 24 * 60 * MINUTE,
+});
+
+// Progressive delay: nothing for the first couple of failures, then
+// 1s, 2s, 4s... capped at 8s
+const getProgressiveDelay = (failures) =>
+  failures < 3 ? 0 : Math.min(1000 * 2 ** (failures - 3), 8000);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Check whether a login attempt may proceed. Returns the lock that blocks
+// it (scope and seconds until it lifts) or null.
+export async function getActiveLoginLock({ email, ip }) {
+  const records = await LoginThrottle.find({
+    $or: [
+      { scope: "account", key: normalizeEmail(email) },
+      { scope: "ip", key: ip },
+    ],
+    lockedUntil: { $gt: new Date() },
+  });
+
+  if (records.length === 0) return null;
+
+  const lockedUntil = new Date(
+    Math.max(...records.map((record) => record.lockedUntil.getTime()))
+  );
+  return {
+    scope: records.map((record) => record.scope),
+    lockedUntil,
+    retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000),
+  };
+}
+
+// Record a failed attempt for both the account and the IP, wait out the
+// progressive delay, and report whether the account has just been locked
+export async function recordFailedLogin({ email, ip }) {
+  const [account, client] = await Promise.all([
+    LoginThrottle.recordFailure(
+      "account",
+      normalizeEmail(email),
+      accountPolicy()
+    ),
+    LoginThrottle.recordFailure("ip", ip, ipPolicy()),
+  ]);
+
+  const delayMs = getProgressiveDelay(
+    Math.max(account.record.failures, client.record.failures)
+  );
+  if (delayMs > 0) {
+    await sleep(delayMs);
+  }
+
+  return {
+    accountLocked: account.lockedNow,
+    lockedUntil: account.lockedNow ? account.record.lockedUntil : null,
+  };
+}
+
+// Reset the account's failure count after a successful login. The IP
+// record is kept so one valid login can't wipe out a credential-stuffing trail.
+export async function recordSuccessfulLogin({ email }) {
+  await LoginThrottle.clearKey("account", normalizeEmail(email));
+}
@@ -0,0 +1,192 @@
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Built-in transports. Each receives a message { to, subject, text, html }
+// and must resolve once the message has been handed off.
+const transports = {
+  // Print messages to stdout (default for local development)
+  console: async (message) => {
+    console.log("📧 Outgoing email:", {
+      to: message.to,
+      subject: message.subject,
+    });
+    console.log(message.text);
+    return { transport: "console", delivered: true };
+  },
+
+  // Write each message as a JSON file so tests/dev can read the outbox
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}.json`;
+    const filePath = path.join(outboxDir, fileName);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { transport: "file", delivered: true, path: filePath };
+  },
+};
+
+// Register a custom transport (e.g. SMTP or a provider API client)
+export function registerMailTransport(name, sendFn) {
+  if (typeof sendFn !== "function") {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = sendFn;
+}
+
+// Send a message through the transport selected by MAIL_TRANSPORT
+export async function sendMail({ to, subject, text, html }) {
+  const transportName = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || "Prepwise <no-reply@prepwise.app>",
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+// Build a link into the frontend application
+export function buildClientUrl(pathname, params = {}) {
+  const baseUrl = process.env.CLIENT_URL || "http://localhost:3000";
+  const url = new URL(pathname, baseUrl);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+}
+
+// Password reset email
+export async function sendPasswordResetEmail(user, resetToken, expiresInMinutes) {
+  const resetUrl = buildClientUrl("/reset-password", { token: resetToken });
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Prepwise password",
+    text: `Hi ${user.name},
+
+We received a request to reset your Prepwise password. Use the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a password reset, you can safely ignore this email.`,
+  });
+}
+
+// Email address verification email
+export async function sendVerificationEmail(
+  user,
+  verificationToken,
+  expiresInHours
+) {
+  const verifyUrl = buildClientUrl("/verify-email", {
+    token: verificationToken,
+  });
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your Prepwise email address",
+    text: `Hi ${user.name},
+
+Please confirm your email address to unlock interview generation on Prepwise:
+
+${verifyUrl}
+
+This link expires in ${expiresInHours} hours. If you did not create a Prepwise account, you can safely ignore this email.`,
+  });
+}
+
+// Magic login link email
+export async function sendMagicLinkEmail(user, loginToken, expiresInMinutes) {
+  const loginUrl = buildClientUrl("/magic-link", { token: loginToken });
+
+  return sendMail({
+    to: user.email,
+    subject: "Your Prepwise sign-in link",
+    text: `Hi ${user.name},
+
+Use the link below to sign in to Prepwise without a password:
+
+${loginUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request it, you can safely ignore this email.`,
+  });
+}
+
+// Data export ready notification
+export async function sendDataExportReadyEmail(user, expiresInHours) {
+  const exportUrl = buildClientUrl("/settings/data-export");
+
+  return sendMail({
+    to: user.email,
+    subject: "Your Prepwise data export is ready",
+    text: `Hi ${user.name},
+
+The copy of your Prepwise data you requested is ready to download:
+
+${exportUrl}
+
+The download link expires in ${expiresInHours} hours, after which the archive is deleted. If you did not request this export, please change your password.`,
+  });
+}
+
+// Account deletion scheduled notification
+export async function sendAccountDeletionScheduledEmail(user, deletionDate) {
+  const loginUrl = buildClientUrl("/login");
+
+  return sendMail({
+    to: user.email,
+    subject: "Your Prepwise account is scheduled for deletion",
+    text: `Hi ${user.name},
+
+As requested, your Prepwise account and all of its interviews, answers and results will be permanently deleted on ${deletionDate.toUTCString()}.
+
+Changed your mind? Just log in before then and the deletion will be cancelled:
+
+${loginUrl}
+
+If you did not request this, log in now and change your password.`,
+  });
+}
+
+// Account lockout notification
+export async function sendAccountLockedEmail(user, lockedUntil) {
+  const resetUrl = buildClientUrl("/forgot-password");
+
+  return sendMail({
+    to: user.email,
+    subject: "Your Prepwise account has been temporarily locked",
+    text: `Hi ${user.name},
+
+We temporarily locked your Prepwise account after several failed sign-in attempts. You can try again after ${lockedUntil.toUTCString()}.
+
+If these attempts weren't you, we recommend resetting your password:
+
+${resetUrl}`,
+  });
+}
+
+// Issue a fresh verification token for the user and email it
+export async function issueEmailVerification(user) {
+  const expiresInHours =
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+  const verificationToken = await user.createEmailVerificationToken(
+    expiresInHours
+  );
+  return sendVerificationEmail(user, verificationToken, expiresInHours);
+}
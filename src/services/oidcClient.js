@@ -0,0 +1,245 @@
+import axios from "axios";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Generic OpenID Connect / OAuth 2.0 client for social login, using the
+// authorization code flow with PKCE. Works with any standards-compliant
+// issuer (Google, Microsoft, Auth0, Keycloak, a local mock issuer...).
+
+const oidcHttp = axios.create({
+  timeout: 10000,
+  headers: {
+    Accept: "application/json",
+  },
+});
+
+// Discovery documents and JWKS are cached per issuer / URI
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// Random URL-safe value for state, nonce and PKCE verifiers
+export const generateRandomToken = (bytes = 32) =>
+  base64url(crypto.randomBytes(bytes));
+
+// PKCE (RFC 7636) verifier and its S256 challenge
+export const createPkcePair = () => {
+  const codeVerifier = generateRandomToken(32);
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+  return { codeVerifier, codeChallenge };
+};
+
+// Resolve a provider's endpoints, via discovery when it has an issuer.
+// Explicitly configured endpoints override discovered ones.
+export async function getProviderMetadata(provider) {
+  let discovered = {};
+
+  if (provider.issuer) {
+    discovered = discoveryCache.get(provider.issuer);
+
+    if (!discovered) {
+      const url = `${provider.issuer.replace(
+        /\/$/,
+        ""
+      )}/.well-known/openid-configuration`;
+      const { data } = await oidcHttp.get(url);
+
+      if (data.issuer !== provider.issuer) {
+        throw new Error(
+          `OIDC discovery issuer mismatch for ${provider.name}: expected ${provider.issuer}, got ${data.issuer}`
+        );
+      }
+
+      discovered = data;
+      discoveryCache.set(provider.issuer, discovered);
+    }
+  }
+
+  return {
+    issuer: discovered.issuer || null,
+    authorizationEndpoint:
+      provider.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    userinfoEndpoint:
+      provider.userinfoEndpoint || discovered.userinfo_endpoint || null,
+    jwksUri: discovered.jwks_uri || null,
+  };
+}
+
+// Build the URL the browser is sent to for sign-in
+export async function buildAuthorizationUrl(
+  provider,
+  { redirectUri, state, nonce, codeChallenge }
+) {
+  const metadata = await getProviderMetadata(provider);
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+  if (nonce) params.set("nonce", nonce);
+
+  const separator = metadata.authorizationEndpoint.includes("?") ? "&" : "?";
+  return `${metadata.authorizationEndpoint}${separator}${params.toString()}`;
+}
+
+// Exchange an authorization code for tokens
+export async function exchangeAuthorizationCode(
+  provider,
+  { code, codeVerifier, redirectUri }
+) {
+  const metadata = await getProviderMetadata(provider);
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    params.set("client_secret", provider.clientSecret);
+  }
+
+  try {
+    const { data } = await oidcHttp.post(
+      metadata.tokenEndpoint,
+      params.toString(),
+      {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      }
+    );
+
+    // Some OAuth providers report errors with a 200 response
+    if (data.error || !data.access_token) {
+      throw new Error(data.error_description || data.error || "No access token");
+    }
+
+    return data;
+  } catch (error) {
+    console.error(
+      `Error exchanging ${provider.name} authorization code:`,
+      error.response?.data || error.message
+    );
+    throw new Error("Failed to exchange authorization code");
+  }
+}
+
+// Fetch the issuer's signing key for a key ID, refetching the JWKS once
+// when the key is unknown (providers rotate keys)
+async function getSigningKey(jwksUri, kid) {
+  const findKey = (keys) =>
+    keys.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+
+  if (!jwk) {
+    const { data } = await oidcHttp.get(jwksUri);
+    keys = data.keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error("No matching signing key found for ID token");
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+// Verify an ID token's signature and standard claims; returns its claims
+export async function verifyIdToken(provider, idToken, { nonce } = {}) {
+  const metadata = await getProviderMetadata(provider);
+  if (!metadata.jwksUri) {
+    throw new Error(`Provider ${provider.name} does not publish a JWKS`);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("Malformed ID token");
+  }
+
+  const key = await getSigningKey(metadata.jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"],
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+  });
+
+  if (nonce && claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+
+  return claims;
+}
+
+// Fetch profile claims from the userinfo endpoint
+export async function fetchUserInfo(provider, accessToken) {
+  const metadata = await getProviderMetadata(provider);
+  if (!metadata.userinfoEndpoint) return {};
+
+  const { data } = await oidcHttp.get(metadata.userinfoEndpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  return data;
+}
+
+// Complete the code flow and return a normalized external profile:
+// { subject, email, emailVerified, name, picture }
+export async function getExternalProfile(
+  provider,
+  { code, codeVerifier, redirectUri, nonce }
+) {
+  const tokens = await exchangeAuthorizationCode(provider, {
+    code,
+    codeVerifier,
+    redirectUri,
+  });
+
+  let claims = {};
+  if (tokens.id_token) {
+    claims = await verifyIdToken(provider, tokens.id_token, { nonce });
+  } else if (provider.issuer) {
+    // An OpenID provider must return an ID token for the openid scope
+    throw new Error("Provider did not return an ID token");
+  }
+
+  // Userinfo fills in claims the ID token leaves out, but can never
+  // change whose account this is
+  const userInfo = await fetchUserInfo(provider, tokens.access_token);
+  const userInfoSubject = userInfo.sub ?? userInfo.id;
+  if (
+    claims.sub &&
+    userInfoSubject !== undefined &&
+    String(userInfoSubject) !== String(claims.sub)
+  ) {
+    throw new Error("Userinfo subject does not match ID token");
+  }
+
+  const profile = { ...userInfo, ...claims };
+  const subject = profile.sub ?? profile.id;
+  if (subject === undefined || subject === null) {
+    throw new Error("Provider did not return a subject identifier");
+  }
+
+  return {
+    subject: String(subject),
+    email: profile.email ? String(profile.email).toLowerCase() : null,
+    emailVerified:
+      Boolean(profile.email) &&
+      (profile.email_verified === true ||
+        profile.email_verified === "true" ||
+        provider.trustEmail),
+    name: profile.name || profile.login || null,
+    picture: profile.picture || profile.avatar_url || null,
+  };
+}
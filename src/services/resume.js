@@ -0,0 +1,84 @@
+import fs from "fs/promises";
+import path from "path";
+import mammoth from "mammoth";
+import { PDFParse } from "pdf-parse";
+
+// Resume uploads: the original file is kept in RESUME_DIR (one per user,
+// named after the user ID) and its text is extracted locally so it can be
+// parsed into a profile and used for question generation.
+
+// Supported formats and the extension each is stored under
+export const RESUME_FILE_TYPES = {
+  "application/pdf": ".pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    ".docx",
+  "text/plain": ".txt",
+};
+
+// Most text kept from a resume (characters)
+const MAX_RESUME_TEXT_LENGTH = 20000;
+
+export const getResumeDir = () =>
+  path.resolve(process.env.RESUME_DIR || path.join("uploads", "resumes"));
+
+// Extract plain text from an uploaded resume (multer memory file)
+export async function extractResumeText(file) {
+  let text;
+
+  switch (file.mimetype) {
+    case "application/pdf": {
+      const parser = new PDFParse({ data: file.buffer });
+      try {
+        text = (await parser.getText({ pageJoiner: "" })).text;
+      } finally {
+        await parser.destroy();
+      }
+      break;
+    }
+    case "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+      text = (await mammoth.extractRawText({ buffer: file.buffer })).value;
+      break;
+    default:
+      text = file.buffer.toString("utf8");
+  }
+
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, MAX_RESUME_TEXT_LENGTH);
+}
+
+// Delete a user's stored resume file(s) (missing files are fine)
+export async function removeResumeFile(userId) {
+  await Promise.all(
+    Object.values(RESUME_FILE_TYPES).map(async (extension) => {
+      try {
+        await fs.unlink(path.join(getResumeDir(), `${userId}${extension}`));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    })
+  );
+}
+
+// Store a user's resume, replacing any previous one; returns the file name
+export async function saveResumeFile(userId, file) {
+  const fileName = `${userId}${RESUME_FILE_TYPES[file.mimetype]}`;
+
+  await removeResumeFile(userId);
+  await fs.mkdir(getResumeDir(), { recursive: true });
+  await fs.writeFile(path.join(getResumeDir(), fileName), file.buffer);
+
+  return fileName;
+}
+
+// Experience level matching a number of years of experience
+export const getExperienceLevelForYears = (years) => {
+  if (typeof years !== "number" || years < 1) return "Fresher";
+  if (years < 3) return "Junior";
+  if (years < 6) return "Mid";
+  if (years < 10) return "Senior";
+  return "Lead";
+};
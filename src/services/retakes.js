@@ -0,0 +1,175 @@
+import Interview from "../models/Interview.js";
+import FinalResult from "../models/FinalResult.js";
+import { generateInterviewQuestions } from "../config/gemini.js";
+
+// Interview retakes: a new attempt with the same setup and either the same
+// questions or fresh ones in the same categories. Attempts are linked into
+// a series so scores can be compared across them.
+
+// Questions as originally planned (adaptive follow-ups are left out; they
+// are generated again from the new answers)
+const getPlannedQuestions = (interview) =>
+  interview.questions
+    .filter((question) => !question.origin || question.origin === "planned")
+    .map((question, index) => ({
+      questionNumber: index + 1,
+      questionText: question.questionText,
+      category: question.category,
+      expectedAnswer: question.expectedAnswer,
+      skills: question.skills,
+    }));
+
+// Attempts to number a retake before giving up on concurrent retakes
+const MAX_ATTEMPT_NUMBER_TRIES = 3;
+
+// Number after every attempt so far, trashed ones included
+const getNextAttemptNumber = async (userId, seriesId) => {
+  const lastAttempt = await Interview.findOne({
+    userId,
+    $or: [{ _id: seriesId }, { seriesId }],
+  })
+    .withDeleted()
+    .sort({ attemptNumber: -1 })
+    .select("attemptNumber");
+
+  return (lastAttempt?.attemptNumber || 1) + 1;
+};
+
+// Create a new attempt at `source`. `resumeProfile` is used when
+// regenerating questions for a resume-based interview.
+export async function createRetake(
+  source,
+  { regenerateQuestions = false, resumeProfile = null } = {}
+) {
+  const seriesId = source.seriesId || source._id;
+  const plannedQuestions = getPlannedQuestions(source);
+
+  let questions = plannedQuestions;
+  let { generatedBy } = source.metadata;
+  if (regenerateQuestions) {
+    questions = await generateInterviewQuestions({
+      techStack: source.techStack,
+      hardnessLevel: source.hardnessLevel,
+      experienceLevel: source.experienceLevel,
+      numberOfQuestions: plannedQuestions.length,
+      jobPosting: source.jobPosting?.jobDescription ? source.jobPosting : null,
+      resumeProfile: source.metadata?.usedResume ? resumeProfile : null,
+      categories: plannedQuestions.map((question) => question.category),
+      avoidQuestions: plannedQuestions.map((question) => question.questionText),
+    });
+    generatedBy = questions.some((q) => q.isFallback) ? "Fallback" : "AI";
+  }
+
+  if (!source.seriesId) {
+    source.seriesId = seriesId;
+    await source.save();
+  }
+
+  const attempt = {
+    userId: source.userId,
+    techStack: source.techStack,
+    hardnessLevel: source.hardnessLevel,
+    experienceLevel: source.experienceLevel,
+    numberOfQuestions: questions.length,
+    questions,
+    jobPosting: source.jobPosting?.jobDescription
+      ? source.jobPosting.toObject()
+      : undefined,
+    adaptive: {
+      enabled: source.adaptive.enabled,
+      maxQuestions: source.adaptive.maxQuestions,
+    },
+    timeLimits: {
+      perQuestionSeconds: source.timeLimits.perQuestionSeconds,
+      totalSeconds: source.timeLimits.totalSeconds,
+      lateAnswerPolicy: source.timeLimits.lateAnswerPolicy,
+    },
+    templateId: source.templateId,
+    seriesId,
+    status: "generated",
+    metadata: {
+      generatedBy,
+      aiModel: source.metadata.aiModel,
+      usedResume: Boolean(
+        source.metadata.usedResume && (!regenerateQuestions || resumeProfile)
+      ),
+      generationPrompt: source.metadata.generationPrompt,
+    },
+  };
+
+  // A concurrent retake may take the same number first (unique index on
+  // seriesId + attemptNumber); number again and retry
+  for (let tries = 1; ; tries++) {
+    const attemptNumber = await getNextAttemptNumber(source.userId, seriesId);
+    try {
+      return await Interview.create({ ...attempt, attemptNumber });
+    } catch (error) {
+      if (error.code !== 11000 || tries >= MAX_ATTEMPT_NUMBER_TRIES) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Every attempt in an interview's series with its result and the change in
+// score from the previous scored attempt
+export async function getSeriesAttempts(interview) {
+  const seriesId = interview.seriesId || interview._id;
+
+  const attempts = await Interview.find({
+    userId: interview.userId,
+    $or: [{ _id: seriesId }, { seriesId }],
+  })
+    .select(
+      "attemptNumber status startedAt completedAt duration numberOfQuestions createdAt"
+    )
+    .sort({ attemptNumber: 1 });
+
+  const results = await FinalResult.find({
+    userId: interview.userId,
+    interviewId: { $in: attempts.map((attempt) => attempt._id) },
+  }).select(
+    "interviewId overallScore grade passed isPartial categoryScores completionPercentage createdAt"
+  );
+  const resultsByInterview = new Map(
+    results.map((result) => [result.interviewId.toString(), result])
+  );
+
+  let previousScore = null;
+  const progression = attempts.map((attempt) => {
+    const result = resultsByInterview.get(attempt._id.toString()) || null;
+    const score = result ? result.overallScore : null;
+    const scoreChange =
+      score !== null && previousScore !== null ? score - previousScore : null;
+    if (score !== null) previousScore = score;
+
+    return {
+      interviewId: attempt._id,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      completedAt: attempt.completedAt,
+      duration: attempt.duration,
+      result,
+      scoreChange,
+    };
+  });
+
+  const scores = progression
+    .filter((attempt) => attempt.result)
+    .map((attempt) => attempt.result.overallScore);
+
+  return {
+    seriesId,
+    attempts: progression,
+    summary: {
+      totalAttempts: attempts.length,
+      scoredAttempts: scores.length,
+      firstScore: scores.length ? scores[0] : null,
+      latestScore: scores.length ? scores[scores.length - 1] : null,
+      bestScore: scores.length ? Math.max(...scores) : null,
+      improvement:
+        scores.length > 1 ? scores[scores.length - 1] - scores[0] : null,
+    },
+  };
+}
@@ -0,0 +1,85 @@
+import Interview from "../models/Interview.js";
+import Answer from "../models/Answer.js";
+import FinalResult from "../models/FinalResult.js";
+
+// Trash for deleted interviews and results. Deleting moves documents to the
+// trash (see models/plugins/softDelete.js); they can be restored until the
+// retention window ends, after which a background job removes them for good.
+
+export const getTrashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// When a trashed document will be purged
+export const getPurgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+// Move an interview to the trash along with its answers and result
+export async function trashInterview(interview) {
+  const deletedAt = new Date();
+  const childFilter = {
+    interviewId: interview._id,
+    userId: interview.userId,
+    deletedAt: null,
+  };
+  const childUpdate = { deletedAt, deletedWithParent: true };
+
+  await Promise.all([
+    Answer.updateMany(childFilter, childUpdate),
+    FinalResult.updateMany(childFilter, childUpdate),
+  ]);
+
+  interview.deletedAt = deletedAt;
+  interview.deletedWithParent = false;
+  return await interview.save();
+}
+
+// Restore an interview and whatever was trashed along with it. Results
+// deleted on their own beforehand stay in the trash.
+export async function restoreInterview(interview) {
+  const childFilter = {
+    interviewId: interview._id,
+    userId: interview.userId,
+    deletedAt: { $ne: null },
+    deletedWithParent: true,
+  };
+  const childUpdate = { deletedAt: null, deletedWithParent: false };
+
+  await Promise.all([
+    Answer.updateMany(childFilter, childUpdate),
+    FinalResult.updateMany(childFilter, childUpdate),
+  ]);
+
+  return await interview.restoreFromTrash();
+}
+
+// Permanently delete trashed documents older than the retention window
+export async function purgeExpiredTrash() {
+  const cutoff = new Date(
+    Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000
+  );
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const interviews = await Interview.find(expired).select("_id");
+  const interviewIds = interviews.map((interview) => interview._id);
+
+  // Everything under a purged interview goes, trashed or not
+  await Promise.all([
+    Answer.deleteMany({ interviewId: { $in: interviewIds } }),
+    FinalResult.deleteMany({ interviewId: { $in: interviewIds } }),
+  ]);
+  const [, results] = await Promise.all([
+    Answer.deleteMany(expired),
+    FinalResult.deleteMany(expired),
+  ]);
+
+  // Interviews go last so a failed run is retried on the next sweep
+  await Interview.deleteMany({ _id: { $in: interviewIds } });
+
+  const purged = interviewIds.length + results.deletedCount;
+  if (purged > 0) {
+    console.log(
+      `🗑️  Purged ${interviewIds.length} interview(s) and ${results.deletedCount} result(s) from the trash`
+    );
+  }
+  return purged;
+}
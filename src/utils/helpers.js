@@ -221,3 +221,72 @@ export const logRequest = (req) => {
     }`
   );
 };
+
+// Summarize a User-Agent header as "Browser on OS"
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Chrome\//, "Chrome"],
+    [/Firefox\//, "Firefox"],
+    [/Safari\//, "Safari"],
+    [/PostmanRuntime/, "Postman"],
+    [/curl\//, "curl"],
+  ];
+  const systems = [
+    [/Windows/, "Windows"],
+    [/Android/, "Android"],
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+  const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[1];
+  if (!browser) return system[1];
+  return `${browser[1]} on ${system[1]}`;
+};
+
+// Extract client details (for sessions and auditing) from a request
+export const getClientInfo = (req) => {
+  const userAgent = req.get("User-Agent") || null;
+  return {
+    userAgent: userAgent ? userAgent.slice(0, 512) : null,
+    device: describeUserAgent(userAgent),
+    ip: req.ip || null,
+  };
+};
+
+// Escape user input for safe use inside a RegExp / $regex query
+export const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+// Build CSV text from rows. `columns` is [{ header, value: (row) => any }].
+// Values that spreadsheets would run as formulas are prefixed with a quote.
+export const toCsv = (rows, columns) => {
+  const escapeCell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text =
+      value instanceof Date
+        ? value.toISOString()
+        : typeof value === "object" && typeof value.toHexString !== "function"
+        ? JSON.stringify(value)
+        : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map((column) => escapeCell(column.header)).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(column.value(row))).join(","));
+  });
+  return `${lines.join("\r\n")}\r\n`;
+};
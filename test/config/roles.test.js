@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PERMISSIONS,
+  ROLES,
+  roleHasPermission,
+} from "../../src/config/roles.js";
+
+test("admins have every permission", () => {
+  for (const permission of Object.values(PERMISSIONS)) {
+    assert.equal(roleHasPermission("admin", permission), true);
+  }
+});
+
+test("candidates have no permissions", () => {
+  for (const permission of Object.values(PERMISSIONS)) {
+    assert.equal(roleHasPermission("candidate", permission), false);
+  }
+});
+
+test("coaches and recruiters can read but not manage", () => {
+  for (const role of ["coach", "recruiter"]) {
+    assert.equal(
+      roleHasPermission(role, PERMISSIONS.INTERVIEWS_READ_ANY),
+      true
+    );
+    assert.equal(roleHasPermission(role, PERMISSIONS.RESULTS_READ_ANY), true);
+    assert.equal(roleHasPermission(role, PERMISSIONS.USERS_MANAGE), false);
+    assert.equal(roleHasPermission(role, PERMISSIONS.ROLES_MANAGE), false);
+  }
+
+  assert.equal(roleHasPermission("recruiter", PERMISSIONS.USERS_READ), true);
+  assert.equal(roleHasPermission("coach", PERMISSIONS.USERS_READ), false);
+});
+
+test("an unknown role has no permissions", () => {
+  assert.ok(!ROLES.includes("superuser"));
+  assert.equal(roleHasPermission("superuser", PERMISSIONS.USERS_READ), false);
+  assert.equal(roleHasPermission(undefined, PERMISSIONS.USERS_READ), false);
+});
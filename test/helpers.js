@@ -0,0 +1,72 @@
+import { mock } from "node:test";
+import express from "express";
+import cookieParser from "cookie-parser";
+
+import User from "../src/models/User.js";
+import AuditEvent from "../src/models/AuditEvent.js";
+import { errorHandler } from "../src/middleware/errorHandler.js";
+
+// Shared setup for tests that exercise routes over HTTP without a
+// database: documents are kept in memory and model lookups are mocked.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// Resolve like a query, with the chainable calls the routes use
+export const queryResult = (value) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+// A user document whose save() keeps it in memory
+export const buildUser = (fields = {}) => {
+  const user = new User({
+    name: "Test User",
+    email: "test@example.com",
+    password: "Password1!",
+    emailVerified: true,
+    ...fields,
+  });
+  user.save = async function () {
+    return this;
+  };
+  return user;
+};
+
+// Whether a document matches a plain equality filter
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, value]) => doc.get(path) === value);
+
+// Look users up among `users`, and drop audit events
+export const mockUsers = (...users) => {
+  const byId = (id) => users.find((user) => user._id.equals(id)) || null;
+
+  mock.method(User, "findById", (id) => queryResult(byId(id)));
+  mock.method(User, "countDocuments", async (filter = {}) =>
+    users.filter((user) => matches(user, filter)).length
+  );
+  mock.method(User, "touchSession", async () => {});
+  mock.method(AuditEvent, "create", async () => null);
+};
+
+// Serve `router` at `mountPath` on a random port
+export const startApp = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(mountPath, router);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
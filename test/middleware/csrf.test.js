@@ -0,0 +1,97 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import {
+  generateCsrfToken,
+  isCsrfRequestValid,
+} from "../../src/middleware/csrf.js";
+import {
+  authenticateUser,
+  generateToken,
+} from "../../src/middleware/auth.js";
+import { buildUser, mockUsers, startApp } from "../helpers.js";
+
+let app;
+let user;
+
+before(async () => {
+  const router = express.Router();
+  const ok = (req, res) => res.json({ success: true });
+  router.get("/resource", authenticateUser, ok);
+  router.post("/resource", authenticateUser, ok);
+  app = await startApp("/api", router);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  delete process.env.CSRF_PROTECTION;
+  user = buildUser();
+  mockUsers(user);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// A request as the CSRF check sees it
+const fakeRequest = (method, cookieToken, headerToken) => ({
+  method,
+  cookies: { csrfToken: cookieToken },
+  get: () => headerToken,
+});
+
+const call = (method, headers) =>
+  fetch(`${app.baseUrl}/api/resource`, { method, headers });
+
+test("accepts a state-changing request that echoes its CSRF cookie", () => {
+  const token = generateCsrfToken();
+
+  assert.equal(isCsrfRequestValid(fakeRequest("POST", token, token)), true);
+  assert.equal(isCsrfRequestValid(fakeRequest("POST", token)), false);
+  assert.equal(
+    isCsrfRequestValid(fakeRequest("POST", token, generateCsrfToken())),
+    false
+  );
+});
+
+test("rejects a cookie that wasn't signed by the server", () => {
+  const planted = "attacker-value.not-a-signature";
+
+  assert.equal(
+    isCsrfRequestValid(fakeRequest("DELETE", planted, planted)),
+    false
+  );
+});
+
+test("safe methods and disabled protection skip the check", () => {
+  assert.equal(isCsrfRequestValid(fakeRequest("GET")), true);
+
+  process.env.CSRF_PROTECTION = "false";
+  assert.equal(isCsrfRequestValid(fakeRequest("POST")), true);
+});
+
+test("cookie-authenticated POST needs the CSRF header", async () => {
+  const cookie = `token=${generateToken(user._id)}`;
+  const csrfToken = generateCsrfToken();
+
+  const rejected = await call("POST", { Cookie: cookie });
+  assert.equal(rejected.status, 403);
+
+  const accepted = await call("POST", {
+    Cookie: `${cookie}; csrfToken=${csrfToken}`,
+    "X-CSRF-Token": csrfToken,
+  });
+  assert.equal(accepted.status, 200);
+});
+
+test("cookie-authenticated GET and Bearer requests need no CSRF token", async () => {
+  const token = generateToken(user._id);
+
+  assert.equal((await call("GET", { Cookie: `token=${token}` })).status, 200);
+  assert.equal(
+    (await call("POST", { Authorization: `Bearer ${token}` })).status,
+    200
+  );
+});
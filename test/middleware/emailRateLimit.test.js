@@ -0,0 +1,83 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import { emailSendLimiter } from "../../src/middleware/emailRateLimit.js";
+
+process.env.EMAIL_RATE_LIMIT_MAX = "5";
+process.env.EMAIL_RATE_LIMIT_PER_ADDRESS_MAX = "2";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.set("trust proxy", 1);
+  app.use(express.json());
+  // Stand-in for authenticateUser
+  app.use((req, res, next) => {
+    const email = req.get("x-test-user");
+    if (email) req.user = { email };
+    next();
+  });
+  app.post("/send", emailSendLimiter, (req, res) =>
+    res.json({ success: true })
+  );
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const send = ({ ip, email, user }) =>
+  fetch(`${baseUrl}/send`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Forwarded-For": ip,
+      ...(user ? { "X-Test-User": user } : {}),
+    },
+    body: JSON.stringify(email ? { email } : {}),
+  });
+
+const statusOf = async (options) => (await send(options)).status;
+
+test("limits requests for one address, however it is spelled", async () => {
+  assert.equal(await statusOf({ ip: "10.0.0.1", email: "a@example.com" }), 200);
+  assert.equal(
+    await statusOf({ ip: "10.0.0.2", email: "A@Example.com " }),
+    200
+  );
+
+  const blocked = await send({ ip: "10.0.0.3", email: "a@example.com" });
+  assert.equal(blocked.status, 429);
+  assert.equal((await blocked.json()).success, false);
+
+  // Other addresses are unaffected
+  assert.equal(
+    await statusOf({ ip: "10.0.0.3", email: "b@example.com" }),
+    200
+  );
+});
+
+test("limits requests from one IP across addresses", async () => {
+  for (let i = 0; i < 5; i++) {
+    const email = `ip${i}@example.com`;
+    assert.equal(await statusOf({ ip: "10.0.1.1", email }), 200);
+  }
+
+  assert.equal(
+    await statusOf({ ip: "10.0.1.1", email: "ip5@example.com" }),
+    429
+  );
+});
+
+test("uses the signed-in user's address when there is one", async () => {
+  const user = "signed-in@example.com";
+  assert.equal(await statusOf({ ip: "10.0.2.1", user }), 200);
+  assert.equal(await statusOf({ ip: "10.0.2.2", user }), 200);
+  assert.equal(await statusOf({ ip: "10.0.2.3", user }), 429);
+});
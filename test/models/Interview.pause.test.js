@@ -0,0 +1,89 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Interview from "../../src/models/Interview.js";
+
+const MINUTE = 60 * 1000;
+const at = (minutes) => new Date(Date.UTC(2024, 0, 1, 10, minutes));
+
+let interview;
+
+// No database here: saving just keeps the document as it is
+beforeEach(() => {
+  interview = new Interview({
+    userId: new mongoose.Types.ObjectId(),
+    techStack: ["Node.js"],
+    hardnessLevel: "Medium",
+    experienceLevel: "Mid",
+    numberOfQuestions: 3,
+    questions: [1, 2, 3].map((questionNumber) => ({
+      questionNumber,
+      questionText: `Question ${questionNumber}`,
+    })),
+    timeLimits: { perQuestionSeconds: 120, totalSeconds: 1800 },
+  });
+  interview.save = async function () {
+    return this;
+  };
+
+  // Started at 10:00 with a 30 minute limit, question 1 served at 10:02,
+  // paused at 10:05 with a 15 minute budget
+  interview.status = "paused";
+  interview.startedAt = at(0);
+  interview.deadlineAt = at(30);
+  interview.questions[0].servedAt = at(2);
+  interview.lastActivityAt = at(5);
+  interview.pausedAt = at(5);
+  interview.pauseExpiresAt = at(20);
+  interview.pauseCount = 1;
+});
+
+test("resuming credits the paused time to the deadline and timers", async () => {
+  await interview.resumeInterview(at(15));
+
+  assert.equal(interview.status, "in_progress");
+  assert.equal(interview.pausedSeconds, 600);
+  assert.deepEqual(interview.deadlineAt, at(40));
+  assert.deepEqual(interview.questions[0].servedAt, at(12));
+  assert.equal(interview.questions[1].servedAt, null);
+  assert.equal(interview.pausedAt, null);
+  assert.equal(interview.pauseExpiresAt, null);
+});
+
+test("paused time past the budget is not credited", async () => {
+  await interview.resumeInterview(at(50));
+
+  assert.equal(interview.pausedSeconds, 900);
+  assert.deepEqual(interview.deadlineAt, at(45));
+  assert.deepEqual(interview.questions[0].servedAt, at(17));
+});
+
+test("the budget left shrinks with every pause", async () => {
+  interview.pausedSeconds = 600;
+  interview.status = "in_progress";
+  interview.pausedAt = null;
+
+  await interview.pauseInterview(900);
+
+  assert.equal(interview.pauseCount, 2);
+  assert.equal(interview.pauseExpiresAt - interview.pausedAt, 5 * MINUTE);
+});
+
+test("active time excludes pauses", async () => {
+  assert.equal(interview.getActiveSeconds(at(50)), 300);
+
+  await interview.resumeInterview(at(15));
+  assert.equal(interview.getActiveSeconds(at(25)), 900);
+});
+
+test("only a resume by the candidate counts as activity", async () => {
+  await interview.resumeInterview(at(20));
+  assert.deepEqual(interview.lastActivityAt, at(5));
+
+  interview.status = "paused";
+  interview.pausedAt = at(22);
+  interview.pauseExpiresAt = at(30);
+  await interview.resumeInterview(at(25), { byUser: true });
+  assert.deepEqual(interview.lastActivityAt, at(25));
+});
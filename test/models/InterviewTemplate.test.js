@@ -0,0 +1,119 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import InterviewTemplate from "../../src/models/InterviewTemplate.js";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const owner = { _id: new mongoose.Types.ObjectId(), organization: "Acme" };
+const colleague = { _id: new mongoose.Types.ObjectId(), organization: "Acme" };
+const outsider = { _id: new mongoose.Types.ObjectId(), organization: "Other" };
+const loner = { _id: new mongoose.Types.ObjectId(), organization: null };
+
+const buildTemplate = (fields = {}) =>
+  new InterviewTemplate({
+    userId: owner._id,
+    name: "Backend screen",
+    techStack: ["Node.js"],
+    hardnessLevel: "Medium",
+    experienceLevel: "Mid",
+    numberOfQuestions: 5,
+    ...fields,
+  });
+
+// Whether a template matches a filter built by accessibleBy
+const isVisible = (template, filter) =>
+  filter.$or.some((condition) =>
+    Object.entries(condition).every(([path, value]) => {
+      const actual = template.get(path);
+      return actual?.equals ? actual.equals(value) : actual === value;
+    })
+  );
+
+const visibleTo = (user, template) =>
+  isVisible(template, InterviewTemplate.accessibleBy(user));
+
+test("a private template is visible to its owner only", () => {
+  const template = buildTemplate({ organization: "Acme" });
+
+  assert.equal(visibleTo(owner, template), true);
+  assert.equal(visibleTo(colleague, template), false);
+  assert.equal(visibleTo(outsider, template), false);
+});
+
+test("an organization template is visible within its organization", () => {
+  const template = buildTemplate({
+    visibility: "organization",
+    organization: "Acme",
+  });
+
+  assert.equal(visibleTo(owner, template), true);
+  assert.equal(visibleTo(colleague, template), true);
+  assert.equal(visibleTo(outsider, template), false);
+  assert.equal(visibleTo(loner, template), false);
+});
+
+test("only the owner may change a template", () => {
+  const template = buildTemplate({
+    visibility: "organization",
+    organization: "Acme",
+  });
+
+  assert.equal(template.isOwnedBy(owner), true);
+  assert.equal(template.isOwnedBy(colleague), false);
+});
+
+test("shared templates follow their owner to a new organization", async () => {
+  const updateMany = mock.method(InterviewTemplate, "updateMany", async () => ({
+    modifiedCount: 2,
+  }));
+
+  const moved = await InterviewTemplate.moveSharedTemplates(owner._id, "New");
+  assert.equal(moved, 2);
+  assert.deepEqual(updateMany.mock.calls[0].arguments, [
+    { userId: owner._id, visibility: "organization" },
+    { organization: "New" },
+  ]);
+
+  await InterviewTemplate.moveSharedTemplates(owner._id, null);
+  assert.deepEqual(updateMany.mock.calls[1].arguments[1], {
+    visibility: "private",
+    organization: null,
+  });
+});
+
+test("the question mix has to add up to the generated questions", async () => {
+  const pinnedQuestions = [{ questionText: "Tell us about yourself" }];
+
+  await buildTemplate({
+    pinnedQuestions,
+    questionMix: { technical: 3, behavioral: 1 },
+  }).validate();
+
+  await assert.rejects(
+    () =>
+      buildTemplate({
+        pinnedQuestions,
+        questionMix: { technical: 3, behavioral: 2 },
+      }).validate(),
+    /Question mix must add up to 4/
+  );
+});
+
+test("a template without a mix leaves the categories open", async () => {
+  await buildTemplate().validate();
+});
+
+test("pinned questions can't exceed the number of questions", async () => {
+  const pinnedQuestions = [1, 2, 3, 4].map((n) => ({
+    questionText: `Pinned ${n}`,
+  }));
+
+  await assert.rejects(
+    () => buildTemplate({ numberOfQuestions: 3, pinnedQuestions }).validate(),
+    /Pinned questions cannot exceed the number of questions/
+  );
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import LoginThrottle from "../../src/models/LoginThrottle.js";
+
+const MINUTE = 60 * 1000;
+
+const policy = {
+  maxAttempts: 3,
+  failureWindowMs: 60 * MINUTE,
+  baseLockMs: 15 * MINUTE,
+  maxLockMs: 40 * MINUTE,
+  retentionMs: 24 * 60 * MINUTE,
+};
+
+// A single throttle record standing in for the collection
+let stored;
+
+const apply = (update) => {
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    stored[path] = value;
+  }
+  for (const [path, value] of Object.entries(update.$inc || {})) {
+    stored[path] = (stored[path] || 0) + value;
+  }
+};
+
+beforeEach(() => {
+  stored = null;
+
+  mock.method(LoginThrottle, "updateOne", async (filter, update) => {
+    if (stored && stored.lastFailureAt < filter.lastFailureAt.$lt) {
+      apply(update);
+    }
+  });
+  mock.method(LoginThrottle, "findOneAndUpdate", async (filter, update) => {
+    if (!stored) {
+      stored = {
+        _id: new mongoose.Types.ObjectId(),
+        failures: 0,
+        lockCount: 0,
+      };
+    }
+    if (filter.failures && stored.failures < filter.failures.$gte) {
+      return null;
+    }
+    apply(update);
+    return LoginThrottle.hydrate({ ...stored });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const fail = () => LoginThrottle.recordFailure("account", "a@b.co", policy);
+
+test("locks the key once it reaches the attempt limit", async () => {
+  assert.equal((await fail()).lockedNow, false);
+  assert.equal((await fail()).lockedNow, false);
+
+  const { record, lockedNow } = await fail();
+  assert.equal(lockedNow, true);
+  assert.equal(record.isLocked, true);
+  assert.equal(record.failures, 0);
+  assert.ok(Math.abs(record.lockedUntil - Date.now() - 15 * MINUTE) < 1000);
+});
+
+test("doesn't lock again while locked", async () => {
+  for (let i = 0; i < 3; i++) await fail();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await fail()).lockedNow, false);
+  }
+  assert.equal(stored.lockCount, 1);
+});
+
+test("each lockout lasts twice as long, up to the maximum", async () => {
+  const lockMinutes = [];
+  for (let lock = 0; lock < 3; lock++) {
+    // The previous lock has run out
+    if (stored) stored.lockedUntil = new Date(Date.now() - 1000);
+    for (let i = 0; i < 3; i++) await fail();
+    lockMinutes.push(Math.round((stored.lockedUntil - Date.now()) / MINUTE));
+  }
+
+  assert.deepEqual(lockMinutes, [15, 30, 40]);
+});
+
+test("failures older than the window no longer count", async () => {
+  await fail();
+  await fail();
+  stored.lastFailureAt = new Date(Date.now() - 61 * MINUTE);
+
+  const { record, lockedNow } = await fail();
+  assert.equal(lockedNow, false);
+  assert.equal(record.failures, 1);
+});
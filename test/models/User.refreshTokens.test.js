@@ -0,0 +1,149 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+
+import User from "../../src/models/User.js";
+import { generateRefreshToken } from "../../src/middleware/auth.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+let user;
+// The refresh tokens as stored in the database
+let storedTokens;
+
+const copyTokens = (tokens) => tokens.map((t) => ({ ...t }));
+
+// No database here: saving keeps the document's tokens in memory, and the
+// conditional update applies its positional $set to them
+beforeEach(() => {
+  storedTokens = [];
+  user = new User({
+    name: "Test User",
+    email: "test@example.com",
+    password: "Password1!",
+  });
+  user.save = async function () {
+    storedTokens = copyTokens(this.toObject().refreshTokens);
+    return this;
+  };
+
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    const entry = storedTokens.find(
+      (t) => t.tokenHash === filter["refreshTokens.tokenHash"]
+    );
+    if (!entry) return null;
+    for (const [path, value] of Object.entries(update.$set)) {
+      entry[path.replace("refreshTokens.$.", "")] = value;
+    }
+    return { refreshTokens: copyTokens(storedTokens) };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Another request's copy of the user, as loaded from the database
+const loadUser = () =>
+  User.hydrate({ ...user.toObject(), refreshTokens: copyTokens(storedTokens) });
+
+// Log in and return the issued refresh token
+const login = async () => {
+  const token = generateRefreshToken(user._id);
+  await user.addRefreshToken(token, jwt.decode(token).family);
+  return token;
+};
+
+// Refresh the way POST /api/auth/refresh does: rotate within the family
+const refresh = async (token) => {
+  const { family } = jwt.decode(token);
+  const newToken = generateRefreshToken(user._id, family);
+  await user.rotateRefreshToken(token, newToken);
+  return newToken;
+};
+
+test("stores only a hash of the refresh token", async () => {
+  const token = await login();
+
+  assert.equal(user.refreshTokens.length, 1);
+  assert.notEqual(user.refreshTokens[0].tokenHash, token);
+  assert.ok(user.findRefreshToken(token));
+});
+
+test("rotation replaces the token within the same family", async () => {
+  const token = await login();
+  const { family } = jwt.decode(token);
+
+  const rotated = await refresh(token);
+
+  assert.equal(jwt.decode(rotated).family, family);
+  assert.equal(user.refreshTokens.length, 1);
+  assert.equal(user.findRefreshToken(token), null);
+  assert.equal(user.findRefreshToken(rotated).family, family);
+});
+
+test("a rotated token is detected as reuse and revokes its family", async () => {
+  const token = await login();
+  const otherSession = await login();
+  const rotated = await refresh(token);
+  const { family } = jwt.decode(token);
+
+  // Replaying the old token: no longer current, but its family is alive
+  assert.equal(user.findRefreshToken(token), null);
+  assert.ok(user.hasRefreshTokenFamily(family));
+
+  await user.revokeRefreshTokenFamily(family);
+
+  assert.equal(user.hasRefreshTokenFamily(family), false);
+  assert.equal(user.findRefreshToken(rotated), null);
+  assert.ok(user.findRefreshToken(otherSession));
+});
+
+test("a replayed token is rejected once its family is revoked", async () => {
+  const token = await login();
+  await refresh(token);
+  await user.revokeRefreshTokenFamily(jwt.decode(token).family);
+
+  const rotated = await user.rotateRefreshToken(
+    token,
+    generateRefreshToken(user._id)
+  );
+  assert.equal(rotated, null);
+});
+
+test("only one of two concurrent refreshes rotates the token", async () => {
+  const token = await login();
+  const { family } = jwt.decode(token);
+  const first = loadUser();
+  const second = loadUser();
+
+  const winner = generateRefreshToken(user._id, family);
+  assert.ok(await first.rotateRefreshToken(token, winner));
+  const loser = generateRefreshToken(user._id, family);
+  assert.equal(await second.rotateRefreshToken(token, loser), null);
+
+  // The losing request sees the token as just rotated, not replayed
+  const current = loadUser();
+  assert.ok(current.findRefreshToken(winner));
+  assert.ok(current.findRecentlyRotatedToken(token));
+});
+
+test("a rotated token is no longer recent after the grace window", async () => {
+  const token = await login();
+  await refresh(token);
+  assert.ok(user.findRecentlyRotatedToken(token));
+
+  user.refreshTokens[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+  assert.equal(user.findRecentlyRotatedToken(token), null);
+});
+
+test("keeps at most 5 sessions", async () => {
+  const tokens = [];
+  for (let i = 0; i < 6; i++) {
+    tokens.push(await login());
+  }
+
+  assert.equal(user.refreshTokens.length, 5);
+  assert.equal(user.findRefreshToken(tokens[0]), null);
+  assert.ok(user.findRefreshToken(tokens[5]));
+});
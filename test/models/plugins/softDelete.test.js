@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import softDelete from "../../../src/models/plugins/softDelete.js";
+
+const noteSchema = new mongoose.Schema({ title: String });
+noteSchema.plugin(softDelete);
+const Note = mongoose.model("SoftDeleteNote", noteSchema);
+
+// Run the schema's pre hooks for a query or aggregation without executing
+// it (there is no database here). Queries are thenables, so they can't be
+// what the promise resolves to.
+const runPreHooks = (operation, context) =>
+  new Promise((resolve, reject) => {
+    Note.schema.s.hooks.execPre(operation, context, [], (error) =>
+      error ? reject(error) : resolve()
+    );
+  });
+
+const filterOf = async (query) => {
+  await runPreHooks(query.op, query);
+  return query.getFilter();
+};
+
+const pipelineOf = async (aggregate) => {
+  await runPreHooks("aggregate", aggregate);
+  return aggregate.pipeline();
+};
+
+test("reads and updates skip trashed documents", async () => {
+  assert.deepEqual(await filterOf(Note.find({ title: "a" })), {
+    title: "a",
+    deletedAt: null,
+  });
+  assert.deepEqual(await filterOf(Note.findOne({})), { deletedAt: null });
+  assert.deepEqual(await filterOf(Note.countDocuments({})), {
+    deletedAt: null,
+  });
+  assert.deepEqual(
+    await filterOf(Note.findOneAndUpdate({ title: "a" }, { title: "b" })),
+    { title: "a", deletedAt: null }
+  );
+  assert.deepEqual(await filterOf(Note.updateMany({}, { title: "b" })), {
+    deletedAt: null,
+  });
+});
+
+test("a filter on deletedAt is kept as given", async () => {
+  assert.deepEqual(
+    await filterOf(Note.find({ deletedAt: { $ne: null } })),
+    { deletedAt: { $ne: null } }
+  );
+});
+
+test("withDeleted includes trashed documents", async () => {
+  assert.deepEqual(await filterOf(Note.find({ title: "a" }).withDeleted()), {
+    title: "a",
+  });
+});
+
+test("hard deletes are not filtered", async () => {
+  assert.deepEqual(await filterOf(Note.deleteMany({ title: "a" })), {
+    title: "a",
+  });
+});
+
+test("aggregations start with a match on live documents", async () => {
+  const live = await pipelineOf(
+    Note.aggregate([{ $group: { _id: "$title" } }])
+  );
+  assert.deepEqual(live[0], { $match: { deletedAt: null } });
+
+  const trashed = await pipelineOf(
+    Note.aggregate([{ $match: { deletedAt: { $ne: null } } }])
+  );
+  assert.equal(trashed.length, 1);
+});
+
+test("moving to and restoring from the trash", async () => {
+  const note = new Note({ title: "a" });
+  note.save = async function () {
+    return this;
+  };
+
+  assert.equal(note.isTrashed, false);
+
+  await note.moveToTrash({ withParent: true });
+  assert.equal(note.isTrashed, true);
+  assert.equal(note.deletedWithParent, true);
+
+  await note.restoreFromTrash();
+  assert.equal(note.isTrashed, false);
+  assert.equal(note.deletedAt, null);
+  assert.equal(note.deletedWithParent, false);
+});
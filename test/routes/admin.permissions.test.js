@@ -0,0 +1,83 @@
+import { test, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import adminRoutes from "../../src/routes/admin.js";
+import Interview from "../../src/models/Interview.js";
+import FinalResult from "../../src/models/FinalResult.js";
+import { generateToken } from "../../src/middleware/auth.js";
+import { buildUser, mockUsers, startApp } from "../helpers.js";
+
+let app;
+
+before(async () => {
+  app = await startApp("/api/admin", adminRoutes);
+});
+
+after(() => app.close());
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const request = (method, path, actor) =>
+  fetch(`${app.baseUrl}/api/admin${path}`, {
+    method,
+    headers: actor
+      ? { Authorization: `Bearer ${generateToken(actor._id)}` }
+      : {},
+  });
+
+// A signed-in user with `role`, and another account to act on
+const setup = (role) => {
+  const actor = buildUser({ email: "actor@example.com", role });
+  const target = buildUser({ email: "target@example.com" });
+  mockUsers(actor, target);
+  mock.method(Interview, "countDocuments", async () => 0);
+  mock.method(FinalResult, "countDocuments", async () => 0);
+  mock.method(FinalResult, "aggregate", async () => []);
+  return { actor, target };
+};
+
+test("a candidate can't use the admin routes", async () => {
+  const { actor, target } = setup("candidate");
+
+  const read = await request("GET", `/users/${target._id}`, actor);
+  assert.equal(read.status, 403);
+
+  const manage = await request("PUT", `/users/${target._id}/deactivate`, actor);
+  assert.equal(manage.status, 403);
+  assert.equal(target.isActive, true);
+});
+
+test("a recruiter can look users up but not manage them", async () => {
+  const { actor, target } = setup("recruiter");
+
+  const read = await request("GET", `/users/${target._id}`, actor);
+  assert.equal(read.status, 200);
+
+  const manage = await request("PUT", `/users/${target._id}/deactivate`, actor);
+  assert.equal(manage.status, 403);
+  assert.equal(target.isActive, true);
+});
+
+test("a coach can't look users up", async () => {
+  const { actor, target } = setup("coach");
+
+  const read = await request("GET", `/users/${target._id}`, actor);
+  assert.equal(read.status, 403);
+});
+
+test("an admin can manage users", async () => {
+  const { actor, target } = setup("admin");
+
+  const manage = await request("PUT", `/users/${target._id}/deactivate`, actor);
+  assert.equal(manage.status, 200);
+  assert.equal(target.isActive, false);
+});
+
+test("the admin routes need authentication", async () => {
+  const { target } = setup("admin");
+
+  const read = await request("GET", `/users/${target._id}`);
+  assert.equal(read.status, 401);
+});
@@ -0,0 +1,92 @@
+import { test, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import adminRoutes from "../../src/routes/admin.js";
+import { generateToken } from "../../src/middleware/auth.js";
+import { buildUser, mockUsers, startApp } from "../helpers.js";
+
+let app;
+
+before(async () => {
+  app = await startApp("/api/admin", adminRoutes);
+});
+
+after(() => app.close());
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const put = (path, actor, body = {}) =>
+  fetch(`${app.baseUrl}/api/admin${path}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${generateToken(actor._id)}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+const admin = (email, fields = {}) =>
+  buildUser({ email, role: "admin", ...fields });
+
+test("an admin can deactivate another active admin", async () => {
+  const actor = admin("a@example.com");
+  const target = admin("b@example.com");
+  mockUsers(actor, target);
+
+  const response = await put(`/users/${target._id}/deactivate`, actor);
+
+  assert.equal(response.status, 200);
+  assert.equal(target.isActive, false);
+});
+
+test("an admin cannot deactivate themselves", async () => {
+  const actor = admin("a@example.com");
+  mockUsers(actor, admin("b@example.com"));
+
+  const response = await put(`/users/${actor._id}/deactivate`, actor);
+
+  assert.equal(response.status, 400);
+  assert.equal(actor.isActive, true);
+});
+
+test("deactivated admins don't count toward keeping an admin", async () => {
+  const actor = admin("a@example.com");
+  const deactivated = admin("b@example.com", { isActive: false });
+  mockUsers(actor, deactivated);
+
+  const response = await put(`/users/${actor._id}/role`, actor, {
+    role: "candidate",
+  });
+
+  assert.equal(response.status, 400);
+  const { message } = await response.json();
+  assert.equal(message, "Cannot remove the last admin");
+  assert.equal(actor.role, "admin");
+});
+
+test("a deactivated admin can be demoted", async () => {
+  const actor = admin("a@example.com");
+  const deactivated = admin("b@example.com", { isActive: false });
+  mockUsers(actor, deactivated);
+
+  const response = await put(`/users/${deactivated._id}/role`, actor, {
+    role: "candidate",
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(deactivated.role, "candidate");
+});
+
+test("an admin can step down while another admin is active", async () => {
+  const actor = admin("a@example.com");
+  mockUsers(actor, admin("b@example.com"));
+
+  const response = await put(`/users/${actor._id}/role`, actor, {
+    role: "coach",
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(actor.role, "coach");
+});
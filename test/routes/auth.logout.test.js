@@ -0,0 +1,77 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+
+import authRoutes from "../../src/routes/auth.js";
+import {
+  generateRefreshToken,
+  generateToken,
+} from "../../src/middleware/auth.js";
+import { buildUser, mockUsers, startApp } from "../helpers.js";
+
+let app;
+let user;
+
+before(async () => {
+  app = await startApp("/api/auth", authRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  user = buildUser();
+  mockUsers(user);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Log in on a device: the session's refresh token and an access token
+// bound to it
+const login = async () => {
+  const refreshToken = generateRefreshToken(user._id);
+  const { family } = jwt.decode(refreshToken);
+  await user.addRefreshToken(refreshToken, family);
+  return { family, refreshToken, token: generateToken(user._id, family) };
+};
+
+const post = (path, token, body = {}) =>
+  fetch(`${app.baseUrl}/api/auth${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+test("logging out with only the access token ends its session", async () => {
+  const current = await login();
+  const other = await login();
+
+  const response = await post("/logout", current.token);
+  assert.equal(response.status, 200);
+
+  assert.equal(user.hasRefreshTokenFamily(current.family), false);
+  assert.equal(user.hasRefreshTokenFamily(other.family), true);
+
+  // The access token stops working with its session
+  const me = await fetch(`${app.baseUrl}/api/auth/me`, {
+    headers: { Authorization: `Bearer ${current.token}` },
+  });
+  assert.equal(me.status, 401);
+});
+
+test("logging out with a refresh token revokes that token", async () => {
+  const current = await login();
+  const other = await login();
+
+  const response = await post("/logout", other.token, {
+    refreshToken: current.refreshToken,
+  });
+  assert.equal(response.status, 200);
+
+  assert.equal(user.findRefreshToken(current.refreshToken), null);
+  assert.ok(user.findRefreshToken(other.refreshToken));
+});
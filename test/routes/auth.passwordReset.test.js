@@ -0,0 +1,110 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+import authRoutes from "../../src/routes/auth.js";
+import User from "../../src/models/User.js";
+import LoginThrottle from "../../src/models/LoginThrottle.js";
+import { registerMailTransport } from "../../src/services/mailer.js";
+import { buildUser, mockUsers, startApp } from "../helpers.js";
+
+let app;
+let outbox;
+let failMail;
+
+before(async () => {
+  registerMailTransport("test", async (message) => {
+    if (failMail) throw new Error("SMTP unavailable");
+    outbox.push(message);
+  });
+  process.env.MAIL_TRANSPORT = "test";
+  app = await startApp("/api/auth", authRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  outbox = [];
+  failMail = false;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Serve `user` to the email and reset token lookups
+const mockLookups = (user) => {
+  mockUsers(user);
+  mock.method(User, "findByEmail", async (email) =>
+    email.toLowerCase() === user.email ? user : null
+  );
+  mock.method(User, "findByPasswordResetToken", async (token) =>
+    user.passwordResetToken === hash(token) ? user : null
+  );
+  mock.method(LoginThrottle, "deleteOne", async () => {});
+};
+
+const post = (path, body) =>
+  fetch(`${app.baseUrl}/api/auth${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+const pendingDeletion = () => ({
+  isActive: false,
+  deletionRequestedAt: new Date(),
+  deletionScheduledFor: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+});
+
+test("an account pending deletion can reset its password", async () => {
+  const user = buildUser({
+    email: "pending@example.com",
+    ...pendingDeletion(),
+  });
+  mockLookups(user);
+
+  const requested = await post("/forgot-password", { email: user.email });
+  assert.equal(requested.status, 200);
+  assert.equal(outbox.length, 1);
+
+  const [, token] = outbox[0].text.match(/token=([\w-]+)/);
+  const reset = await post("/reset-password", {
+    token,
+    password: "NewPassword1!",
+    confirmPassword: "NewPassword1!",
+  });
+
+  assert.equal(reset.status, 200);
+  assert.equal(user.password, "NewPassword1!");
+  assert.equal(user.passwordResetToken, null);
+});
+
+test("a deactivated account gets the generic answer and no email", async () => {
+  const user = buildUser({ email: "inactive@example.com", isActive: false });
+  mockLookups(user);
+
+  const response = await post("/forgot-password", { email: user.email });
+
+  assert.equal(response.status, 200);
+  assert.equal(outbox.length, 0);
+  assert.equal(user.passwordResetToken, null);
+});
+
+test("a mail failure gets the generic answer and leaves no token", async () => {
+  const user = buildUser({ email: "unlucky@example.com" });
+  mockLookups(user);
+  failMail = true;
+  mock.method(console, "error", () => {});
+
+  const response = await post("/forgot-password", { email: user.email });
+  const unknown = await post("/forgot-password", {
+    email: "nobody@example.com",
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), await unknown.json());
+  assert.equal(user.passwordResetToken, null);
+});
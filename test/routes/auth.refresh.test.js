@@ -0,0 +1,83 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+
+import authRoutes from "../../src/routes/auth.js";
+import User from "../../src/models/User.js";
+import { generateRefreshToken } from "../../src/middleware/auth.js";
+import { buildUser, mockUsers, startApp } from "../helpers.js";
+
+let app;
+let user;
+
+before(async () => {
+  app = await startApp("/api/auth", authRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  user = buildUser();
+  mockUsers(user);
+
+  // The conditional rotation: a positional $set on the matching token
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    const entry = user.refreshTokens.find(
+      (t) => t.tokenHash === filter["refreshTokens.tokenHash"]
+    );
+    if (!entry) return null;
+    for (const [path, value] of Object.entries(update.$set)) {
+      entry.set(path.replace("refreshTokens.$.", ""), value);
+    }
+    return { refreshTokens: user.toObject().refreshTokens };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const login = async () => {
+  const refreshToken = generateRefreshToken(user._id);
+  const { family } = jwt.decode(refreshToken);
+  await user.addRefreshToken(refreshToken, family);
+  return { family, refreshToken };
+};
+
+const refresh = (refreshToken) =>
+  fetch(`${app.baseUrl}/api/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken }),
+  });
+
+test("two concurrent refreshes with one token don't revoke the session", async () => {
+  const { family, refreshToken } = await login();
+
+  const responses = await Promise.all([
+    refresh(refreshToken),
+    refresh(refreshToken),
+  ]);
+  const statuses = responses.map((response) => response.status).sort();
+  assert.deepEqual(statuses, [200, 409]);
+
+  // The losing request leaves the winner's cookies in place
+  const loser = responses.find((response) => response.status === 409);
+  assert.equal(loser.headers.get("set-cookie"), null);
+
+  const winner = responses.find((response) => response.status === 200);
+  const { data } = await winner.json();
+  assert.ok(user.hasRefreshTokenFamily(family));
+  assert.ok(user.findRefreshToken(data.refreshToken));
+});
+
+test("a rotated token replayed after the grace window revokes its family", async () => {
+  const { family, refreshToken } = await login();
+  assert.equal((await refresh(refreshToken)).status, 200);
+
+  user.findSessionByFamily(family).rotatedAt = new Date(Date.now() - 60000);
+
+  const response = await refresh(refreshToken);
+  assert.equal(response.status, 401);
+  assert.equal(user.hasRefreshTokenFamily(family), false);
+});
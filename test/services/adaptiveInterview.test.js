@@ -0,0 +1,101 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Interview from "../../src/models/Interview.js";
+import Answer from "../../src/models/Answer.js";
+import {
+  addAdaptiveQuestion,
+  getAdaptiveOrigin,
+} from "../../src/services/adaptiveInterview.js";
+
+let interview;
+
+// No database here: saving just keeps the document as it is
+beforeEach(() => {
+  interview = new Interview({
+    userId: new mongoose.Types.ObjectId(),
+    techStack: ["Node.js"],
+    hardnessLevel: "Medium",
+    experienceLevel: "Mid",
+    numberOfQuestions: 3,
+    questions: [1, 2, 3].map((questionNumber) => ({
+      questionNumber,
+      questionText: `Question ${questionNumber}`,
+    })),
+    adaptive: { enabled: true, maxQuestions: 5 },
+  });
+  interview.save = async function () {
+    return this;
+  };
+  mock.method(Answer, "distinct", async () => [1]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const followUp = { questionText: "Why?", origin: "follow_up" };
+const texts = () => interview.questions.map((q) => q.questionText);
+
+test("weak answers get a follow-up and strong ones an escalation", () => {
+  assert.equal(getAdaptiveOrigin({ overallScore: 40 }), "follow_up");
+  assert.equal(getAdaptiveOrigin({ overallScore: 70 }), null);
+  assert.equal(getAdaptiveOrigin({ overallScore: 90 }), "escalation");
+});
+
+test("fallback evaluations don't trigger adaptive questions", () => {
+  assert.equal(
+    getAdaptiveOrigin({ overallScore: 10, isFallback: true }),
+    null
+  );
+  assert.equal(getAdaptiveOrigin(null), null);
+});
+
+test("an adaptive question goes right after the one answered", async () => {
+  const added = await interview.insertAdaptiveQuestion(followUp, 1, [1]);
+
+  assert.equal(added.questionNumber, 2);
+  assert.equal(added.parentQuestionNumber, 1);
+  assert.deepEqual(texts(), ["Question 1", "Why?", "Question 2", "Question 3"]);
+  assert.deepEqual(
+    interview.questions.map((q) => q.questionNumber),
+    [1, 2, 3, 4]
+  );
+  assert.equal(interview.numberOfQuestions, 4);
+});
+
+test("answered questions keep their numbers", async () => {
+  // Question 2 was answered before question 1's evaluation came back
+  const added = await interview.insertAdaptiveQuestion(followUp, 1, [1, 2]);
+
+  assert.equal(added.questionNumber, 4);
+  assert.deepEqual(texts(), ["Question 1", "Question 2", "Question 3", "Why?"]);
+});
+
+test("adaptive questions stop at the question cap", async () => {
+  assert.equal(interview.canAddAdaptiveQuestion, true);
+
+  await interview.insertAdaptiveQuestion(followUp, 1, [1]);
+  await interview.insertAdaptiveQuestion(followUp, 3, [1, 3]);
+
+  assert.equal(interview.questions.length, 5);
+  assert.equal(interview.canAddAdaptiveQuestion, false);
+});
+
+test("non-adaptive interviews never get adaptive questions", () => {
+  interview.adaptive.enabled = false;
+
+  assert.equal(interview.canAddAdaptiveQuestion, false);
+});
+
+test("follow-ups don't branch again, and a question branches once", async () => {
+  const weak = { aiEvaluation: { overallScore: 20 } };
+
+  const added = await interview.insertAdaptiveQuestion(followUp, 1, [1]);
+  assert.equal(await addAdaptiveQuestion(interview, added, weak), null);
+
+  const parent = interview.questions[0];
+  assert.equal(await addAdaptiveQuestion(interview, parent, weak), null);
+  assert.equal(interview.questions.length, 4);
+});
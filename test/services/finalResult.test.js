@@ -0,0 +1,80 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Interview from "../../src/models/Interview.js";
+import Answer from "../../src/models/Answer.js";
+import FinalResult from "../../src/models/FinalResult.js";
+import { createFinalResult } from "../../src/services/finalResult.js";
+import { abandonInterview } from "../../src/services/interviewAbandonment.js";
+
+let interview;
+let trashedResult;
+let upserts;
+
+beforeEach(() => {
+  interview = new Interview({
+    userId: new mongoose.Types.ObjectId(),
+    techStack: ["Node.js"],
+    hardnessLevel: "Medium",
+    experienceLevel: "Mid",
+    numberOfQuestions: 3,
+    questions: [1, 2, 3].map((questionNumber) => ({
+      questionNumber,
+      questionText: `Question ${questionNumber}`,
+    })),
+    status: "in_progress",
+    startedAt: new Date(Date.now() - 60 * 60 * 1000),
+  });
+  interview.save = async function () {
+    return this;
+  };
+
+  trashedResult = new FinalResult({
+    interviewId: interview._id,
+    userId: interview.userId,
+    overallScore: 80,
+    deletedAt: new Date(),
+  });
+  upserts = 0;
+
+  // Trashed documents are only found when the filter asks for them
+  mock.method(FinalResult, "findOne", async (filter) =>
+    filter.deletedAt && filter.interviewId.equals(interview._id)
+      ? trashedResult
+      : null
+  );
+  mock.method(FinalResult, "findOneAndUpdate", async () => {
+    upserts += 1;
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  });
+  mock.method(Answer, "getInterviewAnswers", async () => [
+    { questionNumber: 1, answerText: "An answer" },
+  ]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("a trashed result is returned instead of generating another", async () => {
+  const result = await createFinalResult(interview, []);
+
+  assert.equal(result.finalResult, null);
+  assert.equal(result.trashedResult, trashedResult);
+  assert.equal(upserts, 0);
+});
+
+test("abandoning leaves a trashed result alone", async () => {
+  const errors = mock.method(console, "error", () => {});
+
+  const { result } = await abandonInterview(interview, {
+    generateResult: true,
+  });
+
+  assert.equal(interview.status, "abandoned");
+  assert.equal(result, null);
+  assert.equal(upserts, 0);
+  assert.equal(errors.mock.callCount(), 0);
+  assert.ok(trashedResult.isTrashed);
+});
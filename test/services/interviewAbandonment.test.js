@@ -0,0 +1,156 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Interview from "../../src/models/Interview.js";
+import Answer from "../../src/models/Answer.js";
+import {
+  abandonStaleInterviews,
+  getLastActivityAt,
+} from "../../src/services/interviewAbandonment.js";
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR);
+
+let candidates;
+let lastAnswers;
+let findFilter;
+
+// No database here: saving just keeps the document as it is
+const buildInterview = (fields) => {
+  const interview = new Interview({
+    userId: new mongoose.Types.ObjectId(),
+    techStack: ["Node.js"],
+    hardnessLevel: "Medium",
+    experienceLevel: "Mid",
+    numberOfQuestions: 3,
+    questions: [1, 2, 3].map((questionNumber) => ({
+      questionNumber,
+      questionText: `Question ${questionNumber}`,
+    })),
+    status: "in_progress",
+    ...fields,
+  });
+  interview.save = async function () {
+    return this;
+  };
+  return interview;
+};
+
+beforeEach(() => {
+  process.env.INTERVIEW_INACTIVITY_HOURS = "24";
+  process.env.INTERVIEW_ABANDON_PARTIAL_RESULTS = "false";
+  candidates = [];
+  lastAnswers = new Map();
+
+  mock.method(Interview, "find", async (filter) => {
+    findFilter = filter;
+    return candidates;
+  });
+  mock.method(Answer, "findOne", ({ interviewId }) => ({
+    sort: () => ({
+      select: async () => lastAnswers.get(interviewId.toString()) || null,
+    }),
+  }));
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("looks at in-progress and paused interviews started before the cutoff", async () => {
+  await abandonStaleInterviews();
+
+  assert.deepEqual(findFilter.status, { $in: ["in_progress", "paused"] });
+  assert.ok(Math.abs(findFilter.startedAt.$lte - hoursAgo(24)) < 1000);
+});
+
+test("abandons an interview with no recent activity at its last activity", async () => {
+  const lastActivityAt = hoursAgo(30);
+  const interview = buildInterview({
+    startedAt: hoursAgo(31),
+    lastActivityAt,
+  });
+  candidates = [interview];
+
+  assert.equal(await abandonStaleInterviews(), 1);
+  assert.equal(interview.status, "abandoned");
+  assert.equal(interview.abandonReason, "inactivity");
+  assert.deepEqual(interview.completedAt, lastActivityAt);
+  assert.equal(interview.duration, 3600);
+});
+
+test("keeps an interview with a recent answer", async () => {
+  const interview = buildInterview({
+    startedAt: hoursAgo(30),
+    lastActivityAt: hoursAgo(30),
+  });
+  lastAnswers.set(interview._id.toString(), { updatedAt: hoursAgo(2) });
+  candidates = [interview];
+
+  assert.equal(await abandonStaleInterviews(), 0);
+  assert.equal(interview.status, "in_progress");
+});
+
+test("abandons a paused interview whose pause ran out", async () => {
+  const pausedAt = hoursAgo(29);
+  const interview = buildInterview({
+    status: "paused",
+    startedAt: hoursAgo(30),
+    lastActivityAt: pausedAt,
+    pausedAt,
+    pauseExpiresAt: new Date(pausedAt.getTime() + 15 * 60 * 1000),
+    pauseCount: 1,
+  });
+  candidates = [interview];
+
+  assert.equal(await abandonStaleInterviews(), 1);
+  assert.equal(interview.status, "abandoned");
+  assert.deepEqual(interview.completedAt, pausedAt);
+  // The pause itself isn't active time
+  assert.equal(interview.duration, 3600);
+  assert.equal(interview.pausedAt, null);
+  assert.equal(interview.pauseExpiresAt, null);
+});
+
+test("abandons a paused interview with no pause expiry", async () => {
+  const interview = buildInterview({
+    status: "paused",
+    startedAt: hoursAgo(30),
+    lastActivityAt: hoursAgo(29),
+    pausedAt: hoursAgo(29),
+    pauseExpiresAt: null,
+  });
+  candidates = [interview];
+
+  assert.equal(await abandonStaleInterviews(), 1);
+  assert.equal(interview.status, "abandoned");
+});
+
+test("leaves a paused interview alone until its pause runs out", async () => {
+  process.env.INTERVIEW_INACTIVITY_HOURS = "1";
+  const interview = buildInterview({
+    status: "paused",
+    startedAt: hoursAgo(3),
+    lastActivityAt: hoursAgo(2),
+    pausedAt: hoursAgo(2),
+    pauseExpiresAt: new Date(Date.now() + HOUR),
+  });
+  candidates = [interview];
+
+  assert.equal(await abandonStaleInterviews(), 0);
+  assert.equal(interview.status, "paused");
+});
+
+test("moved question timers don't count as activity", async () => {
+  const lastActivityAt = hoursAgo(29);
+  const interview = buildInterview({
+    startedAt: hoursAgo(30),
+    lastActivityAt,
+  });
+  // Resuming moves servedAt forward by the paused time
+  interview.questions[0].servedAt = hoursAgo(1);
+
+  assert.deepEqual(await getLastActivityAt(interview), lastActivityAt);
+});
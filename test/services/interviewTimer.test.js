@@ -0,0 +1,143 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Interview from "../../src/models/Interview.js";
+import Answer from "../../src/models/Answer.js";
+import {
+  expireInterviewIfOverdue,
+  getAnswerTiming,
+} from "../../src/services/interviewTimer.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const at = (minutes, seconds = 0) =>
+  new Date(Date.UTC(2024, 0, 1, 10, minutes, seconds));
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE);
+
+let interview;
+let hasAnswers;
+
+// No database here: saving just keeps the document as it is
+const buildInterview = (timeLimits) => {
+  const built = new Interview({
+    userId: new mongoose.Types.ObjectId(),
+    techStack: ["Node.js"],
+    hardnessLevel: "Medium",
+    experienceLevel: "Mid",
+    numberOfQuestions: 2,
+    questions: [1, 2].map((questionNumber) => ({
+      questionNumber,
+      questionText: `Question ${questionNumber}`,
+    })),
+    timeLimits,
+  });
+  built.save = async function () {
+    return this;
+  };
+  return built;
+};
+
+beforeEach(() => {
+  hasAnswers = false;
+  mock.method(Answer, "exists", async () =>
+    hasAnswers ? { _id: new mongoose.Types.ObjectId() } : null
+  );
+
+  // Started at 10:00 with a 30 minute limit and 2 minutes per question
+  interview = buildInterview({ perQuestionSeconds: 120, totalSeconds: 1800 });
+  interview.status = "in_progress";
+  interview.startedAt = at(0);
+  interview.deadlineAt = at(30);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("starting an interview sets its total deadline", async () => {
+  const fresh = buildInterview({ totalSeconds: 600 });
+
+  await fresh.startInterview();
+
+  assert.equal(fresh.status, "in_progress");
+  assert.equal(fresh.deadlineAt - fresh.startedAt, 10 * MINUTE);
+});
+
+test("a question is due at the earlier of its own and the total limit", () => {
+  const [first, second] = interview.questions;
+  first.servedAt = at(5);
+  second.servedAt = at(29);
+
+  assert.deepEqual(interview.getQuestionDeadline(first), at(7));
+  assert.deepEqual(interview.getQuestionDeadline(second), at(30));
+});
+
+test("an unserved question has only the total deadline", () => {
+  assert.deepEqual(
+    interview.getQuestionDeadline(interview.questions[0]),
+    at(30)
+  );
+
+  const untimed = buildInterview({});
+  assert.equal(untimed.getQuestionDeadline(untimed.questions[0]), null);
+});
+
+test("answers are late only past the grace period", () => {
+  const question = interview.questions[0];
+  question.servedAt = at(5);
+
+  const onTime = getAnswerTiming(interview, question, at(7, 4));
+  assert.equal(onTime.isLate, false);
+  assert.equal(onTime.lateBySeconds, 0);
+  assert.equal(onTime.elapsedSeconds, 124);
+
+  const late = getAnswerTiming(interview, question, at(7, 30));
+  assert.equal(late.isLate, true);
+  assert.equal(late.lateBySeconds, 30);
+  assert.deepEqual(late.deadline, at(7));
+});
+
+test("an answer to an unserved question is flagged", () => {
+  const timing = getAnswerTiming(interview, interview.questions[1], at(3));
+
+  assert.equal(timing.notServed, true);
+  assert.equal(timing.elapsedSeconds, null);
+});
+
+test("an overdue interview with answers is completed at its deadline", async () => {
+  hasAnswers = true;
+
+  assert.equal(await expireInterviewIfOverdue(interview), true);
+  assert.equal(interview.status, "completed");
+  assert.deepEqual(interview.completedAt, at(30));
+  assert.equal(interview.duration, 1800);
+});
+
+test("an overdue interview without answers is abandoned", async () => {
+  assert.equal(await expireInterviewIfOverdue(interview), true);
+  assert.equal(interview.status, "abandoned");
+  assert.equal(interview.abandonReason, "time_limit");
+});
+
+test("an interview within its time limit stays open", async () => {
+  interview.startedAt = minutesAgo(10);
+  interview.deadlineAt = minutesAgo(-20);
+
+  assert.equal(await expireInterviewIfOverdue(interview), false);
+  assert.equal(interview.status, "in_progress");
+});
+
+test("an expired pause is resumed before the deadline is checked", async () => {
+  // Paused 20 minutes ago with 10 minutes left; the 15 minute pause ran
+  // out 5 minutes ago, which leaves 5 minutes
+  interview.startedAt = minutesAgo(40);
+  interview.status = "paused";
+  interview.pausedAt = minutesAgo(20);
+  interview.pauseExpiresAt = minutesAgo(5);
+  interview.deadlineAt = minutesAgo(10);
+
+  assert.equal(await expireInterviewIfOverdue(interview), false);
+  assert.equal(interview.status, "in_progress");
+  assert.ok(Math.abs(interview.deadlineAt - minutesAgo(-5)) < SECOND);
+});
@@ -0,0 +1,164 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Interview from "../../src/models/Interview.js";
+import FinalResult from "../../src/models/FinalResult.js";
+import {
+  createRetake,
+  getSeriesAttempts,
+} from "../../src/services/retakes.js";
+
+const userId = new mongoose.Types.ObjectId();
+
+// Every attempt in the series, trashed ones included
+let attempts;
+let source;
+
+// No database here: saving just keeps the document as it is
+const buildInterview = (fields = {}) => {
+  const interview = new Interview({
+    userId,
+    techStack: ["Node.js"],
+    hardnessLevel: "Medium",
+    experienceLevel: "Mid",
+    numberOfQuestions: 2,
+    questions: [
+      { questionNumber: 1, questionText: "Question 1" },
+      {
+        questionNumber: 2,
+        questionText: "Follow-up",
+        origin: "follow_up",
+        parentQuestionNumber: 1,
+      },
+      { questionNumber: 3, questionText: "Question 2" },
+    ],
+    status: "completed",
+    ...fields,
+  });
+  interview.save = async function () {
+    return this;
+  };
+  return interview;
+};
+
+const lastAttempt = () =>
+  attempts.reduce((last, attempt) =>
+    attempt.attemptNumber > last.attemptNumber ? attempt : last
+  );
+
+beforeEach(() => {
+  source = buildInterview();
+  attempts = [source];
+
+  mock.method(Interview, "findOne", () => {
+    const query = {
+      withDeleted: () => query,
+      sort: () => query,
+      select: async () => lastAttempt(),
+    };
+    return query;
+  });
+  mock.method(Interview, "create", async (fields) => {
+    const attempt = buildInterview(fields);
+    attempts.push(attempt);
+    return attempt;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("a retake starts a series at attempt 2 with the planned questions", async () => {
+  const retake = await createRetake(source);
+
+  assert.ok(source.seriesId.equals(source._id));
+  assert.ok(retake.seriesId.equals(source._id));
+  assert.equal(retake.attemptNumber, 2);
+  assert.equal(retake.status, "generated");
+  // Adaptive follow-ups are left out and the rest renumbered
+  assert.deepEqual(
+    retake.questions.map((q) => [q.questionNumber, q.questionText]),
+    [
+      [1, "Question 1"],
+      [2, "Question 2"],
+    ]
+  );
+});
+
+test("retaking any attempt numbers after the last one", async () => {
+  const second = await createRetake(source);
+  const third = await createRetake(source);
+  const fourth = await createRetake(second);
+
+  assert.deepEqual(
+    [second, third, fourth].map((attempt) => attempt.attemptNumber),
+    [2, 3, 4]
+  );
+  assert.ok(fourth.seriesId.equals(source._id));
+});
+
+test("a retake that loses the number to a concurrent one is renumbered", async () => {
+  let raced = false;
+  Interview.create.mock.mockImplementation(async (fields) => {
+    if (!raced) {
+      // Another retake took this number first
+      raced = true;
+      attempts.push(buildInterview({ attemptNumber: fields.attemptNumber }));
+      throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    }
+    const attempt = buildInterview(fields);
+    attempts.push(attempt);
+    return attempt;
+  });
+
+  const retake = await createRetake(source);
+
+  assert.equal(retake.attemptNumber, 3);
+});
+
+test("gives up after repeated duplicate attempt numbers", async () => {
+  Interview.create.mock.mockImplementation(async () => {
+    throw Object.assign(new Error("duplicate key"), { code: 11000 });
+  });
+
+  await assert.rejects(() => createRetake(source), /duplicate key/);
+  assert.equal(Interview.create.mock.callCount(), 3);
+});
+
+test("the series shows each attempt's score change", async () => {
+  const series = [1, 2, 3].map((attemptNumber) =>
+    buildInterview({ attemptNumber, seriesId: source._id })
+  );
+  const scores = [60, null, 75];
+  const results = series
+    .map((attempt, index) => ({
+      interviewId: attempt._id,
+      overallScore: scores[index],
+    }))
+    .filter((result) => result.overallScore !== null);
+
+  mock.method(Interview, "find", () => ({
+    select: () => ({ sort: async () => series }),
+  }));
+  mock.method(FinalResult, "find", () => ({ select: async () => results }));
+
+  const { attempts: progression, summary } = await getSeriesAttempts(
+    series[2]
+  );
+
+  assert.deepEqual(
+    progression.map((attempt) => attempt.scoreChange),
+    [null, null, 15]
+  );
+  assert.equal(progression[1].result, null);
+  assert.deepEqual(summary, {
+    totalAttempts: 3,
+    scoredAttempts: 2,
+    firstScore: 60,
+    latestScore: 75,
+    bestScore: 75,
+    improvement: 15,
+  });
+});
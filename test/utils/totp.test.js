@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  base32Decode,
+  base32Encode,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+} from "../../src/utils/totp.js";
+
+// RFC 6238 appendix B SHA-1 seed ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890", "ascii"));
+
+test("base32 round-trips and matches RFC 4648", () => {
+  assert.equal(base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+  assert.equal(base32Decode("mzxw6ytboi======").toString(), "foobar");
+  assert.throws(() => base32Decode("MZXW1"), /Invalid base32 character/);
+});
+
+test("generates the RFC 6238 test vectors (last 6 digits)", () => {
+  assert.equal(generateTotp(RFC_SECRET, 59 * 1000), "287082");
+  assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), "081804");
+  assert.equal(generateTotp(RFC_SECRET, 1234567890 * 1000), "005924");
+  assert.equal(generateTotp(RFC_SECRET, 2000000000 * 1000), "279037");
+});
+
+test("verifies a code and returns its time step", () => {
+  const timestamp = 1111111109 * 1000;
+
+  assert.equal(
+    verifyTotp(RFC_SECRET, "081804", { timestamp }),
+    getTimeStep(timestamp)
+  );
+  assert.equal(
+    verifyTotp(RFC_SECRET, "081 804", { timestamp }),
+    getTimeStep(timestamp)
+  );
+});
+
+test("accepts one step of clock drift either way by default", () => {
+  const timestamp = 1111111109 * 1000;
+  const step = getTimeStep(timestamp);
+  const previous = generateTotp(RFC_SECRET, timestamp - 30 * 1000);
+  const next = generateTotp(RFC_SECRET, timestamp + 30 * 1000);
+  const tooOld = generateTotp(RFC_SECRET, timestamp - 60 * 1000);
+
+  assert.equal(verifyTotp(RFC_SECRET, previous, { timestamp }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, next, { timestamp }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, tooOld, { timestamp }), null);
+  assert.equal(
+    verifyTotp(RFC_SECRET, previous, { timestamp, window: 0 }),
+    null
+  );
+});
+
+test("rejects malformed and wrong codes", () => {
+  const timestamp = 59 * 1000;
+
+  assert.equal(verifyTotp(RFC_SECRET, "", { timestamp }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "28708", { timestamp }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "abcdef", { timestamp }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "287083", { timestamp }), null);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+
+import { createZip } from "../../src/utils/zip.js";
+
+// Read the entries back through the central directory, the way unzip does
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const nameStart = position + 46;
+    const name = archive.toString("utf8", nameStart, nameStart + nameLength);
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50);
+    assert.equal(archive.readUInt32LE(localOffset + 14), crc);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+    const content = zlib.inflateRawSync(
+      archive.subarray(dataStart, dataStart + compressedSize)
+    );
+
+    assert.equal(content.length, size);
+    entries.push({ name, content, crc });
+    position += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+test("round-trips string and Buffer contents", () => {
+  const binary = Buffer.from([0, 1, 2, 255, 254]);
+  const archive = createZip([
+    { name: "profile.json", content: JSON.stringify({ name: "Ada" }) },
+    { name: "data/raw.bin", content: binary },
+  ]);
+
+  const entries = readZip(archive);
+  assert.deepEqual(
+    entries.map((entry) => entry.name),
+    ["profile.json", "data/raw.bin"]
+  );
+  assert.equal(entries[0].content.toString("utf8"), '{"name":"Ada"}');
+  assert.deepEqual(entries[1].content, binary);
+});
+
+test("stores the CRC-32 of the uncompressed data", () => {
+  const [entry] = readZip(
+    createZip([{ name: "check.txt", content: "123456789" }])
+  );
+
+  // Standard CRC-32 check value
+  assert.equal(entry.crc, 0xcbf43926);
+});
+
+test("keeps UTF-8 file names", () => {
+  const [entry] = readZip(createZip([{ name: "résumé.txt", content: "" }]));
+
+  assert.equal(entry.name, "résumé.txt");
+  assert.equal(entry.content.length, 0);
+});
+
+test("writes the modification time as MS-DOS date and time", () => {
+  const archive = createZip(
+    [{ name: "a.txt", content: "a" }],
+    new Date(2024, 2, 15, 13, 45, 30)
+  );
+
+  const time = archive.readUInt16LE(10);
+  const date = archive.readUInt16LE(12);
+  assert.equal(time >> 11, 13);
+  assert.equal((time >> 5) & 63, 45);
+  assert.equal((time & 31) * 2, 30);
+  assert.equal((date >> 9) + 1980, 2024);
+  assert.equal((date >> 5) & 15, 3);
+  assert.equal(date & 31, 15);
+});
+
+test("builds an empty archive", () => {
+  const archive = createZip([]);
+
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});